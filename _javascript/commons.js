@@ -1,5 +1,8 @@
 import { basic, initSidebar, initTopbar } from './modules/layouts';
+import { initContinueReading, initSeriesProgress } from './modules/components';
 
 initSidebar();
 initTopbar();
+initContinueReading();
+initSeriesProgress();
 basic();
@@ -1,8 +1,13 @@
 import { basic, initSidebar, initTopbar } from './modules/layouts';
-import { initLocaleDatetime, loadImg } from './modules/components';
+import {
+  initContinueReading,
+  initLocaleDatetime,
+  loadImg
+} from './modules/components';
 
 loadImg();
 initLocaleDatetime();
+initContinueReading();
 initSidebar();
 initTopbar();
 basic();
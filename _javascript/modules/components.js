@@ -1,10 +1,19 @@
 export { categoryCollapse } from './components/category-collapse';
 export { initClipboard } from './components/clipboard';
+export { initCodeAnnotations } from './components/code-annotations';
+export { initCodeTabs } from './components/code-tabs';
+export { initCodeToolbar } from './components/code-toolbar';
+export { initContinueReading } from './components/continue-reading';
 export { loadImg } from './components/img-loading';
 export { imgPopup } from './components/img-popup';
 export { initLocaleDatetime } from './components/locale-datetime';
+export { initOfflineReading } from './components/offline-reading';
+export { initQuoteShare } from './components/quote-share';
+export { initReadingProgress } from './components/reading-progress';
+export { initSeriesProgress } from './components/series-progress';
 export { initToc } from './components/toc';
 export { loadMermaid } from './components/mermaid';
 export { modeWatcher } from './components/mode-toggle';
 export { back2top } from './components/back-to-top';
 export { loadTooptip } from './components/tooltip-loader';
+export { routeLanguage } from './components/language-routing';
@@ -6,8 +6,9 @@
  */
 
 import Tooltip from 'bootstrap/js/src/tooltip';
+import { codeText } from './code-toolbar';
 
-const clipboardSelector = '.code-header>button';
+const clipboardSelector = '.code-header .code-copy';
 
 const ICON_DEFAULT = 'far fa-clipboard';
 const ICON_SUCCESS = 'fas fa-check';
@@ -66,10 +67,7 @@ function setCodeClipboard() {
 
   // Initial the clipboard.js object
   const clipboard = new ClipboardJS(clipboardSelector, {
-    target: (trigger) => {
-      const codeBlock = trigger.parentNode.nextElementSibling;
-      return codeBlock.querySelector('code .rouge-code');
-    }
+    text: (trigger) => codeText(trigger.closest('.highlighter-rouge'))
   });
 
   [...clipboardList].map(
@@ -100,6 +98,31 @@ function setCodeClipboard() {
   });
 }
 
+/**
+ * Copies the URL, with the tooltip of the button confirming it for a while.
+ */
+function copyLink(button, url) {
+  if (isLocked(button)) {
+    return;
+  }
+
+  navigator.clipboard.writeText(url).then(() => {
+    const defaultTitle = button.getAttribute(ATTR_TITLE_ORIGIN);
+    const succeedTitle = button.getAttribute(ATTR_TITLE_SUCCEED);
+
+    // Switch tooltip title
+    button.setAttribute(ATTR_TITLE_ORIGIN, succeedTitle);
+    Tooltip.getInstance(button).show();
+
+    lock(button);
+
+    setTimeout(() => {
+      button.setAttribute(ATTR_TITLE_ORIGIN, defaultTitle);
+      unlock(button);
+    }, TIMEOUT);
+  });
+}
+
 function setLinkClipboard() {
   const btnCopyLink = document.getElementById('copy-link');
 
@@ -108,28 +131,8 @@ function setLinkClipboard() {
   }
 
   btnCopyLink.addEventListener('click', (e) => {
-    const target = e.target;
-
-    if (isLocked(target)) {
-      return;
-    }
-
     // Copy URL to clipboard
-    navigator.clipboard.writeText(window.location.href).then(() => {
-      const defaultTitle = target.getAttribute(ATTR_TITLE_ORIGIN);
-      const succeedTitle = target.getAttribute(ATTR_TITLE_SUCCEED);
-
-      // Switch tooltip title
-      target.setAttribute(ATTR_TITLE_ORIGIN, succeedTitle);
-      Tooltip.getInstance(target).show();
-
-      lock(target);
-
-      setTimeout(() => {
-        target.setAttribute(ATTR_TITLE_ORIGIN, defaultTitle);
-        unlock(target);
-      }, TIMEOUT);
-    });
+    copyLink(e.target, window.location.href);
   });
 
   btnCopyLink.addEventListener('mouseleave', (e) => {
@@ -137,7 +140,23 @@ function setLinkClipboard() {
   });
 }
 
+/* The link to each section, copied from the button beside its heading */
+function setHeadingClipboard() {
+  document.querySelectorAll('.content .heading-copy').forEach((btn) => {
+    const url = new URL(window.location.href);
+    url.hash = btn.parentElement.id;
+
+    new Tooltip(btn, { placement: 'top' });
+
+    btn.addEventListener('click', () => copyLink(btn, url.href));
+    btn.addEventListener('mouseleave', () => {
+      Tooltip.getInstance(btn).hide();
+    });
+  });
+}
+
 export function initClipboard() {
   setCodeClipboard();
   setLinkClipboard();
+  setHeadingClipboard();
 }
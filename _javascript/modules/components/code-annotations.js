@@ -0,0 +1,139 @@
+/**
+ * Decorates the lines of the code blocks from the attributes of their fence:
+ *
+ *    {: hl_lines="3-5 8" }   highlights lines 3 to 5 and line 8
+ *    {: diff="true" }        colors the lines starting with `+` or `-`
+ *
+ * and turns the `// [!callout 1]` markers at the end of the lines (or `#`,
+ * `--`, `;` comments) into numbered badges linked to the items of the
+ * ordered list that follows the block.
+ *
+ * Runs after `initCodeToolbar()`, which splits the code into lines. The
+ * markers are removed from the code, and the badges render their number
+ * through CSS, so `clipboard.js` copies clean code.
+ */
+
+import { diffType, isDiff } from './code/diff';
+
+const CALLOUT = /\s*(?:\/\/|#|--|;)\s*\[!callout (\d+)\]\s*$/;
+
+/**
+ * @param {string} value e.g. `3-5 8` or `3-5,8`
+ * @returns {Set<number>}
+ */
+function parseRanges(value) {
+  const lines = new Set();
+
+  value
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .forEach((range) => {
+      const [start, end = start] = range.split('-').map(Number);
+
+      for (let line = start; line <= end; line++) {
+        lines.add(line);
+      }
+    });
+
+  return lines;
+}
+
+function decorate(block, number, clzss) {
+  block
+    .querySelectorAll(`[data-line="${number}"]`)
+    .forEach((elem) => elem.classList.add(clzss));
+}
+
+/**
+ * Removes the marker from the end of the line, which may span several
+ * highlighting tokens.
+ */
+function removeMarker(line, length) {
+  const texts = [];
+  const walker = document.createTreeWalker(line, NodeFilter.SHOW_TEXT);
+
+  while (walker.nextNode()) {
+    texts.push(walker.currentNode);
+  }
+
+  texts.pop(); // the line break
+
+  let left = length;
+
+  while (left > 0 && texts.length > 0) {
+    const text = texts.pop();
+    const cut = Math.min(left, text.length);
+    text.textContent = text.textContent.slice(0, text.length - cut);
+    left -= cut;
+  }
+}
+
+function addCallouts(block, lines, index) {
+  const legend = block.nextElementSibling;
+  const items =
+    legend !== null && legend.tagName === 'OL' ? [...legend.children] : [];
+  const prefix = block.id || `code-${index}`;
+  let found = false;
+
+  lines.forEach((line) => {
+    const match = CALLOUT.exec(line.textContent.replace(/\n$/, ''));
+
+    if (match === null) {
+      return;
+    }
+
+    const number = Number(match[1]);
+    const item = items[number - 1];
+    const badge = document.createElement(item ? 'a' : 'span');
+
+    removeMarker(line, match[0].length);
+
+    badge.className = 'code-callout';
+    badge.dataset.callout = number;
+    badge.setAttribute('aria-label', `(${number})`);
+
+    if (item) {
+      item.id = item.id || `${prefix}-callout-${number}`;
+      badge.href = `#${item.id}`;
+    }
+
+    line.lastChild.before(badge);
+    found = true;
+  });
+
+  if (found && items.length > 0) {
+    legend.classList.add('code-callouts');
+  }
+}
+
+export function initCodeAnnotations() {
+  document
+    .querySelectorAll('.content div.highlighter-rouge')
+    .forEach((block, index) => {
+      const lines = [...block.querySelectorAll('.code-line')];
+
+      if (lines.length === 0) {
+        return;
+      }
+
+      const highlighted = block.getAttribute('hl_lines');
+
+      if (highlighted !== null) {
+        parseRanges(highlighted).forEach((number) =>
+          decorate(block, number, 'highlighted')
+        );
+      }
+
+      if (isDiff(block)) {
+        lines.forEach((line) => {
+          const type = diffType(line.textContent);
+
+          if (type !== null) {
+            decorate(block, line.dataset.line, `diff-${type}`);
+          }
+        });
+      }
+
+      addCallouts(block, lines, index);
+    });
+}
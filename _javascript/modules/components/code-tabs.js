@@ -0,0 +1,159 @@
+/**
+ * Groups the adjacent code blocks sharing a `group` attribute into tabs:
+ *
+ *    ```go
+ *    ...
+ *    ```
+ *    {: group="client" }
+ *
+ * Choosing a tab selects the tab of the same label in every group of the
+ * page, and is remembered for the other posts.
+ *
+ * The blocks are only moved into the group, so their headers keep working
+ * with `clipboard.js`, and the tab strip has no headings for tocbot to list.
+ */
+
+import { LocalStorage } from './storage';
+
+const KEY = 'code-tab';
+const ATTR_GROUP = 'group';
+
+const groups = [];
+
+function label(block) {
+  const header = block.querySelector('.code-header [data-label-text]');
+  return header === null ? '' : header.dataset.labelText;
+}
+
+/**
+ * @returns {Element[][]} The runs of adjacent blocks of the same group
+ */
+function findRuns() {
+  const runs = [];
+
+  document
+    .querySelectorAll(`.content div.highlighter-rouge[${ATTR_GROUP}]`)
+    .forEach((block) => {
+      const run = runs[runs.length - 1];
+      const previous = run && run[run.length - 1];
+
+      if (
+        previous !== undefined &&
+        previous.nextElementSibling === block &&
+        previous.getAttribute(ATTR_GROUP) === block.getAttribute(ATTR_GROUP)
+      ) {
+        run.push(block);
+      } else {
+        runs.push([block]);
+      }
+    });
+
+  return runs.filter((run) => run.length > 1);
+}
+
+class CodeGroup {
+  constructor(blocks, index) {
+    this.blocks = blocks;
+    this.labels = blocks.map(label);
+    this.tabs = blocks.map((block, i) => this.#createTab(block, index, i));
+
+    const tablist = document.createElement('div');
+    tablist.className = 'code-tabs';
+    tablist.setAttribute('role', 'tablist');
+    tablist.setAttribute('data-toc-skip', '');
+    tablist.append(...this.tabs);
+    tablist.addEventListener('keydown', (e) => this.#handleKeys(e));
+
+    this.element = document.createElement('div');
+    this.element.className = 'code-group';
+    blocks[0].before(this.element);
+    this.element.append(tablist, ...blocks);
+  }
+
+  #createTab(block, group, i) {
+    const tab = document.createElement('button');
+    const id = `code-group-${group}-${i}`;
+
+    tab.type = 'button';
+    tab.id = `${id}-tab`;
+    tab.textContent = label(block) || String(i + 1);
+    tab.setAttribute('role', 'tab');
+    tab.setAttribute('aria-controls', id);
+    tab.addEventListener('click', () => selectAll(this.labels[i], tab));
+
+    block.id = id;
+    block.setAttribute('role', 'tabpanel');
+    block.setAttribute('aria-labelledby', tab.id);
+
+    return tab;
+  }
+
+  #handleKeys(e) {
+    const index = this.tabs.indexOf(document.activeElement);
+    const last = this.tabs.length - 1;
+    let next;
+
+    switch (e.key) {
+      case 'ArrowRight':
+        next = index === last ? 0 : index + 1;
+        break;
+      case 'ArrowLeft':
+        next = index === 0 ? last : index - 1;
+        break;
+      case 'Home':
+        next = 0;
+        break;
+      case 'End':
+        next = last;
+        break;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    this.tabs[next].focus();
+    this.tabs[next].click();
+  }
+
+  has(name) {
+    return this.labels.includes(name);
+  }
+
+  select(index) {
+    this.tabs.forEach((tab, i) => {
+      const selected = i === index;
+      tab.setAttribute('aria-selected', String(selected));
+      tab.tabIndex = selected ? 0 : -1;
+      this.blocks[i].hidden = !selected;
+    });
+  }
+
+  selectLabel(name) {
+    this.select(Math.max(0, this.labels.indexOf(name)));
+  }
+}
+
+/**
+ * Selects the label in every group, keeping the clicked tab in place while
+ * the groups above it change their height.
+ */
+function selectAll(name, anchor) {
+  const top = anchor.getBoundingClientRect().top;
+
+  groups
+    .filter((group) => group.has(name))
+    .forEach((group) => group.selectLabel(name));
+
+  window.scrollBy(0, anchor.getBoundingClientRect().top - top);
+  LocalStorage.set(KEY, name);
+}
+
+export function initCodeTabs() {
+  const name = LocalStorage.get(KEY);
+
+  findRuns().forEach((blocks, i) => {
+    const group = new CodeGroup(blocks, i);
+    group.selectLabel(name);
+    groups.push(group);
+  });
+}
@@ -0,0 +1,179 @@
+/**
+ * Actions of the `.code-header` toolbar: line selection through the line
+ * numbers (Shift + click selects a range), copy of the commands of shell
+ * sessions without their prompts and output, soft wrap and download.
+ *
+ * The copy itself is set up by `clipboard.js`, with the text of `codeText()`.
+ */
+
+import { applyDiff, isDiff } from './code/diff';
+import { splitLines, splitNumbers } from './code/lines';
+import { stripPrompts } from './code/shell';
+import { downloadBlob } from './download';
+
+const SELECTED = 'selected';
+const WRAPPED = 'wrap-lines';
+
+/* File extensions of the languages that are not one already */
+const EXTENSIONS = {
+  bash: 'sh',
+  console: 'txt',
+  csharp: 'cs',
+  javascript: 'js',
+  kotlin: 'kt',
+  markdown: 'md',
+  plaintext: 'txt',
+  python: 'py',
+  ruby: 'rb',
+  rust: 'rs',
+  shell: 'sh',
+  terminal: 'txt',
+  terraform: 'tf',
+  text: 'txt',
+  typescript: 'ts',
+  yaml: 'yml'
+};
+
+const FILENAMES = {
+  dockerfile: 'Dockerfile',
+  makefile: 'Makefile'
+};
+
+function language(block) {
+  const match = /\blanguage-(\S+)/.exec(block.className);
+  return match === null ? 'plaintext' : match[1];
+}
+
+function getLines(block) {
+  return [...block.querySelectorAll('.code-line')];
+}
+
+/**
+ * @returns {string[]} Text of the lines, and of the code after the change
+ *          in a diff
+ */
+function linesText(block, lines) {
+  const texts = lines.map((line) => line.textContent.replace(/\n$/, ''));
+  return isDiff(block) ? applyDiff(texts) : texts;
+}
+
+function isPressed(button) {
+  return button !== null && button.getAttribute('aria-pressed') === 'true';
+}
+
+function togglePressed(button) {
+  button.setAttribute('aria-pressed', String(!isPressed(button)));
+}
+
+/**
+ * @param {Element} block A `.highlighter-rouge` code block
+ * @returns {string} The selected lines, or else the whole code, without the
+ *          prompts and output in the "commands only" mode, and without the
+ *          markers of a diff
+ */
+export function codeText(block) {
+  const lines = getLines(block);
+
+  if (lines.length === 0) {
+    return block.querySelector('code .rouge-code').textContent;
+  }
+
+  const selected = lines.filter((line) => line.classList.contains(SELECTED));
+  let texts = linesText(block, selected.length > 0 ? selected : lines);
+
+  if (isPressed(block.querySelector('.code-commands'))) {
+    texts = stripPrompts(texts);
+  }
+
+  return texts.join('\n');
+}
+
+function select(block, start, end) {
+  block.querySelectorAll('[data-line]').forEach((elem) => {
+    const line = Number(elem.dataset.line);
+    elem.classList.toggle(SELECTED, line >= start && line <= end);
+  });
+}
+
+function selectLine(block, e) {
+  const number = e.target.closest('.lineno-line');
+
+  if (number === null) {
+    return;
+  }
+
+  const line = Number(number.dataset.line);
+  const anchor = Number(block.dataset.anchor);
+  const selected = block.querySelectorAll(`.code-line.${SELECTED}`);
+
+  if (e.shiftKey && anchor > 0) {
+    select(block, Math.min(anchor, line), Math.max(anchor, line));
+  } else if (
+    selected.length === 1 &&
+    Number(selected[0].dataset.line) === line
+  ) {
+    // clicking the only selected line again clears the selection
+    select(block, 0, -1);
+    delete block.dataset.anchor;
+  } else {
+    block.dataset.anchor = line;
+    select(block, line, line);
+  }
+}
+
+function filename(block) {
+  const file = block.getAttribute('file');
+
+  if (file !== null && file.trim() !== '') {
+    return file.trim().split('/').pop();
+  }
+
+  const lang = language(block);
+  return FILENAMES[lang] || `snippet.${EXTENSIONS[lang] || lang}`;
+}
+
+function download(block) {
+  const code = linesText(block, getLines(block)).join('\n');
+  downloadBlob(
+    new Blob([`${code}\n`], { type: 'text/plain' }),
+    filename(block)
+  );
+}
+
+function handleAction(block, button) {
+  if (button.classList.contains('code-commands')) {
+    togglePressed(button);
+  } else if (button.classList.contains('code-wrap')) {
+    togglePressed(button);
+    block.classList.toggle(WRAPPED, isPressed(button));
+  } else if (button.classList.contains('code-download')) {
+    download(block);
+  }
+}
+
+export function initCodeToolbar() {
+  document.querySelectorAll('.code-header').forEach((header) => {
+    const block = header.parentElement;
+    const code = block.querySelector('.rouge-code pre');
+    const gutter = block.querySelector('.rouge-gutter pre');
+
+    if (code === null) {
+      return;
+    }
+
+    const lines = splitLines(code);
+
+    if (gutter !== null) {
+      splitNumbers(gutter, lines.length);
+      gutter.addEventListener('click', (e) => selectLine(block, e));
+    }
+
+    header.addEventListener('click', (e) => {
+      const button = e.target.closest('button');
+
+      if (button !== null) {
+        handleAction(block, button);
+      }
+    });
+  });
+}
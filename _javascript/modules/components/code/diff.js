@@ -0,0 +1,36 @@
+/**
+ * Lines of a block marked as a diff, where the first character of each line
+ * is `+` for an added line, `-` for a removed one, or a space.
+ */
+
+/**
+ * @param {string} line
+ * @returns {'added' | 'removed' | null}
+ */
+export function diffType(line) {
+  switch (line.charAt(0)) {
+    case '+':
+      return 'added';
+    case '-':
+      return 'removed';
+    default:
+      return null;
+  }
+}
+
+/**
+ * @param {string[]} lines Lines of the diff
+ * @returns {string[]} The code after the change, without the markers
+ */
+export function applyDiff(lines) {
+  return lines
+    .filter((line) => diffType(line) !== 'removed')
+    .map((line) => (/^[+ ]/.test(line) ? line.slice(1) : line));
+}
+
+/**
+ * @param {Element} block A `.highlighter-rouge` code block
+ */
+export function isDiff(block) {
+  return block.hasAttribute('diff') || block.classList.contains('diff');
+}
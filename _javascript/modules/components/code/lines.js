@@ -0,0 +1,78 @@
+/**
+ * Splits the highlighted code of a block into an element per line, so that
+ * the lines can be selected and copied on their own.
+ */
+
+/**
+ * Wraps the text in shallow copies of its highlighting spans.
+ */
+function wrap(text, parents) {
+  return parents.reduceRight((node, parent) => {
+    const clone = parent.cloneNode(false);
+    clone.append(node);
+    return clone;
+  }, document.createTextNode(text));
+}
+
+/**
+ * @param {HTMLPreElement} pre Code of a Rouge block
+ * @returns {HTMLSpanElement[]} The `.code-line` elements that replaced the
+ *          content of `pre`
+ */
+export function splitLines(pre) {
+  const lines = [[]];
+
+  const walk = (node, parents) => {
+    node.childNodes.forEach((child) => {
+      if (child.nodeType !== Node.TEXT_NODE) {
+        walk(child, parents.concat(child));
+        return;
+      }
+
+      child.textContent.split('\n').forEach((part, i) => {
+        if (i > 0) {
+          lines.push([]);
+        }
+
+        if (part !== '') {
+          lines[lines.length - 1].push(wrap(part, parents));
+        }
+      });
+    });
+  };
+
+  walk(pre, []);
+
+  // Rouge ends the code with a line break
+  if (lines.length > 1 && lines[lines.length - 1].length === 0) {
+    lines.pop();
+  }
+
+  const elements = lines.map((nodes, i) => {
+    const line = document.createElement('span');
+    line.className = 'code-line';
+    line.dataset.line = i + 1;
+    // keep the line breaks, for `textContent` and the native copy
+    line.append(...nodes, '\n');
+    return line;
+  });
+
+  pre.replaceChildren(...elements);
+  return elements;
+}
+
+/**
+ * Turns the line numbers of the gutter into elements that can be clicked.
+ * @param {HTMLPreElement} gutter The `.lineno` block
+ */
+export function splitNumbers(gutter, count) {
+  const numbers = Array.from({ length: count }, (_, i) => {
+    const number = document.createElement('span');
+    number.className = 'lineno-line';
+    number.dataset.line = i + 1;
+    number.textContent = `${i + 1}\n`;
+    return number;
+  });
+
+  gutter.replaceChildren(...numbers);
+}
@@ -0,0 +1,39 @@
+/**
+ * Keeps the commands of a shell session, so that it can be pasted into a
+ * terminal.
+ */
+
+/* `$ `, `% `, or `user@host:~$ ` with an optional `(venv) ` before */
+const PROMPT =
+  /^\s*(?:\([\w.-]+\)\s+)?(?:[\w.-]+@[\w.-]+(?::\S*?)?[$#%]|[$%])\s/;
+
+/**
+ * @param {string[]} lines Lines of the session
+ * @returns {string[]} The commands without their prompts, followed by their
+ *          continuation lines. Lines without any prompt are all commands.
+ */
+export function stripPrompts(lines) {
+  if (!lines.some((line) => PROMPT.test(line))) {
+    return lines;
+  }
+
+  const commands = [];
+  let continued = false;
+
+  lines.forEach((line) => {
+    const prompt = PROMPT.exec(line);
+
+    if (prompt !== null) {
+      commands.push(line.slice(prompt[0].length));
+    } else if (continued) {
+      commands.push(line);
+    } else {
+      // output of the previous command
+      return;
+    }
+
+    continued = line.trimEnd().endsWith('\\');
+  });
+
+  return commands;
+}
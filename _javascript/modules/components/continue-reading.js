@@ -0,0 +1,71 @@
+/**
+ * Lists the partially read posts of the page language on the home page,
+ * with the titles and dates of `search.json`.
+ */
+
+import { ReadingPositions } from './reading/positions';
+import { escapeHtml } from './search/highlight';
+
+const strip = document.getElementById('continue-reading');
+const template = document.getElementById('continue-reading-template');
+
+const MAX_ITEMS = 4;
+
+const lang = document.documentElement.lang;
+
+function sameLanguage(doc) {
+  return doc.lang.split('-')[0] === lang.split('-')[0];
+}
+
+/**
+ * @param {string} date Date of `search.json`, e.g. `2025-01-15 08:00:00 -0300`
+ */
+function formatDate(date) {
+  const [year, month, day] = date.slice(0, 10).split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(lang, {
+    dateStyle: 'medium'
+  });
+}
+
+function render(doc, position) {
+  const fields = {
+    url: escapeHtml(doc.url),
+    title: escapeHtml(doc.title),
+    date: formatDate(doc.date),
+    percent: position.percent
+  };
+
+  return template.innerHTML.replace(/\{(\w+)\}/g, (placeholder, prop) =>
+    prop in fields ? fields[prop] : placeholder
+  );
+}
+
+export function initContinueReading() {
+  if (strip === null) {
+    return;
+  }
+
+  const positions = ReadingPositions.items;
+
+  if (positions.length === 0) {
+    return;
+  }
+
+  fetch(strip.dataset.json)
+    .then((response) => response.json())
+    .then((docs) => {
+      const posts = new Map(docs.map((doc) => [doc.url, doc]));
+      const items = positions
+        .filter(({ url }) => posts.has(url) && sameLanguage(posts.get(url)))
+        .slice(0, MAX_ITEMS)
+        .map((position) => render(posts.get(position.url), position));
+
+      if (items.length > 0) {
+        strip.querySelector('ul').innerHTML = items.join('');
+        strip.classList.remove('d-none');
+      }
+    })
+    .catch(() => {
+      // the strip is an extra, the home page works without it
+    });
+}
@@ -0,0 +1,16 @@
+/**
+ * Saves a file generated in the page, e.g. an export.
+ */
+
+/**
+ * @param {Blob} blob Content of the file
+ * @param {string} filename Name offered to the reader
+ */
+export function downloadBlob(blob, filename) {
+  const link = document.createElement('a');
+
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href));
+}
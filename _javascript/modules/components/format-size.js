@@ -0,0 +1,13 @@
+/**
+ * Formats a number of bytes in the language of the page, e.g. "1.2 MB".
+ */
+export function formatSize(bytes) {
+  const [value, unit] =
+    bytes >= 1e6 ? [bytes / 1e6, 'megabyte'] : [bytes / 1e3, 'kilobyte'];
+
+  return new Intl.NumberFormat(document.documentElement.lang, {
+    style: 'unit',
+    unit,
+    maximumFractionDigits: 1
+  }).format(value);
+}
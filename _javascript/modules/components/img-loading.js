@@ -1,8 +1,14 @@
 /**
  * Setting up image lazy loading and LQIP switching
+ *
+ * The images may be wrapped in a `<picture>` with the responsive variants of
+ * `image-variants.js`, whose sources wait in `data-srcset` while the LQIP is
+ * shown. The covers are removed once the image is decoded, so it appears at
+ * once rather than painted in pieces.
  */
 
 const ATTR_DATA_SRC = 'data-src';
+const ATTR_DATA_SRCSET = 'data-srcset';
 const ATTR_DATA_LQIP = 'data-lqip';
 
 const cover = {
@@ -10,8 +16,24 @@ const cover = {
   BLUR: 'blur'
 };
 
+/**
+ * @returns {Element} The element holding the cover, around the `<picture>`
+ *          if there is one
+ */
+function wrapper(img) {
+  const picture = img.closest('picture');
+  return (picture || img).parentElement;
+}
+
 function removeCover(clzss) {
-  this.parentElement.classList.remove(clzss);
+  const decoded =
+    typeof this.decode === 'function'
+      ? this.decode().catch(() => {
+          // not decodable, shown as it is
+        })
+      : Promise.resolve();
+
+  decoded.then(() => wrapper(this).classList.remove(clzss));
 }
 
 function handleImage() {
@@ -27,9 +49,21 @@ function handleImage() {
 }
 
 /**
- * Switches the LQIP with the real image URL.
+ * Switches the LQIP with the real image URL, and the sources of the
+ * `<picture>` with their variants.
  */
 function switchLQIP() {
+  const picture = this.closest('picture');
+
+  if (picture !== null) {
+    picture
+      .querySelectorAll(`source[${ATTR_DATA_SRCSET}]`)
+      .forEach((source) => {
+        source.setAttribute('srcset', source.getAttribute(ATTR_DATA_SRCSET));
+        source.removeAttribute(ATTR_DATA_SRCSET);
+      });
+  }
+
   const src = this.getAttribute(ATTR_DATA_SRC);
   this.setAttribute('src', encodeURI(src));
   this.removeAttribute(ATTR_DATA_SRC);
@@ -1,25 +1,72 @@
 /**
  * Set up image popup
  *
+ * The images of each section of the post form a gallery, browsed with the
+ * arrow keys or by swiping, and zoomed by pinching. The slides show the image
+ * captions, and closing the popup moves the focus back to the thumbnail of
+ * the last image shown.
+ *
+ * Only the images of the current color scheme are listed, so the galleries
+ * are collected again whenever the scheme switches between light and dark.
+ *
  * Dependencies: https://github.com/biati-digital/glightbox
  */
 
-const lightImages = '.popup:not(.dark)';
-const darkImages = '.popup:not(.light)';
-let selector = lightImages;
+import { collectGalleries, toSlides } from './lightbox/galleries';
 
-function updateImages(current, reverse) {
-  if (selector === lightImages) {
-    selector = darkImages;
-  } else {
-    selector = lightImages;
-  }
+const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+/** @type {Map<HTMLAnchorElement, { links: HTMLAnchorElement[], index: number }>} */
+const slides = new Map();
+let lightbox = null;
+
+function bindGalleries() {
+  slides.clear();
+
+  collectGalleries(Theme.isDark).forEach((links) => {
+    links.forEach((link, index) => slides.set(link, { links, index }));
+  });
+}
+
+function open(links, index) {
+  const effect = reducedMotion.matches ? 'none' : 'zoom';
+
+  lightbox = GLightbox({
+    elements: toSlides(links),
+    openEffect: effect,
+    closeEffect: effect,
+    slideEffect: reducedMotion.matches ? 'none' : 'slide',
+    keyboardNavigation: true,
+    touchNavigation: true,
+    zoomable: true,
+    draggable: true,
+    loop: false,
+    descPosition: 'bottom'
+  });
 
-  if (reverse === null) {
-    reverse = GLightbox({ selector: `${selector}` });
+  lightbox.on('close', () => {
+    const thumbnail = links[lightbox.getActiveSlideIndex()] || links[index];
+
+    lightbox = null;
+    thumbnail.focus();
+  });
+
+  lightbox.openAt(index);
+}
+
+function handleClick(e) {
+  const link = e.target.closest('a.popup');
+
+  if (link === null || !slides.has(link)) {
+    return;
   }
 
-  [current, reverse] = [reverse, current];
+  e.preventDefault();
+
+  if (lightbox === null) {
+    const { links, index } = slides.get(link);
+    open(links, index);
+  }
 }
 
 export function imgPopup() {
@@ -27,23 +74,32 @@ export function imgPopup() {
     return;
   }
 
+  bindGalleries();
+
+  document.querySelectorAll('.content a.popup').forEach((link) => {
+    link.setAttribute('aria-haspopup', 'dialog');
+  });
+
+  document.addEventListener('click', handleClick);
+
   const hasDualImages = !(
     document.querySelector('.popup.light') === null &&
     document.querySelector('.popup.dark') === null
   );
 
-  if (Theme.visualState === Theme.DARK) {
-    selector = darkImages;
-  }
-
-  let current = GLightbox({ selector: `${selector}` });
+  let dark = Theme.isDark;
 
   if (hasDualImages && Theme.switchable) {
-    let reverse = null;
+    Theme.subscribe(() => {
+      // only a switch between light and dark schemes swaps the images
+      if (Theme.isDark !== dark) {
+        dark = Theme.isDark;
+
+        if (lightbox !== null) {
+          lightbox.close();
+        }
 
-    window.addEventListener('message', (event) => {
-      if (event.source === window && event.data && event.data.id === Theme.ID) {
-        updateImages(current, reverse);
+        bindGalleries();
       }
     });
   }
@@ -0,0 +1,84 @@
+/**
+ * Sends the readers who land on a page from outside the site to its version
+ * in their language, when it has been translated. The readers who browse to
+ * it from the site get the switcher and a banner offering it instead.
+ *
+ * Crawlers are never redirected, so that both versions get indexed, and
+ * neither are the readers who opted out with the `noredirect` parameter.
+ */
+
+import { offerTranslation } from './language/banner';
+import { LanguagePreference, primary } from './language/preference';
+import { findTranslation } from './language/translations';
+
+const BOTS = /bot|crawl|spider|slurp|preview|lighthouse|headless/i;
+const OPT_OUT_PARAM = 'noredirect';
+
+function isCrawler() {
+  return navigator.webdriver === true || BOTS.test(navigator.userAgent);
+}
+
+/**
+ * The reader came from another page of the site, where they could already
+ * pick the language themselves.
+ */
+function isInternal() {
+  try {
+    return new URL(document.referrer).origin === window.location.origin;
+  } catch {
+    return false;
+  }
+}
+
+/* Remember the language chosen through the switcher or the banner */
+function watchChoices() {
+  document.addEventListener('click', (e) => {
+    const link = e.target.closest('a[hreflang]');
+
+    if (link) {
+      LanguagePreference.choose(link.hreflang);
+    }
+  });
+}
+
+function preferredLang(langs) {
+  // English is the common ground of the readers with neither language
+  return (
+    LanguagePreference.resolve(langs) ||
+    langs.find((lang) => primary(lang) === 'en')
+  );
+}
+
+export function routeLanguage() {
+  watchChoices();
+
+  const params = new URLSearchParams(window.location.search);
+
+  if (params.has(OPT_OUT_PARAM)) {
+    LanguagePreference.optOut();
+  }
+
+  const crawler = isCrawler();
+  const redirectable =
+    !crawler && !LanguagePreference.optedOut && !isInternal();
+  const lang = document.documentElement.lang;
+
+  findTranslation().then((translation) => {
+    if (translation === null) {
+      return;
+    }
+
+    const wanted = preferredLang([lang, translation.lang]) === translation.lang;
+
+    if (wanted && redirectable) {
+      window.location.replace(
+        translation.url + window.location.search + window.location.hash
+      );
+      return;
+    }
+
+    if (wanted && !crawler) {
+      offerTranslation(lang, translation);
+    }
+  });
+}
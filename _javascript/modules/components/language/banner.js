@@ -0,0 +1,28 @@
+/**
+ * Banner offering the translated version of the page.
+ */
+
+import { LanguagePreference } from './preference';
+
+const banner = document.getElementById('translation-banner');
+
+/**
+ * @param {string} lang Language of the page
+ * @param {{ lang: string, url: string }} translation
+ */
+export function offerTranslation(lang, translation) {
+  if (
+    banner === null ||
+    LanguagePreference.isDismissed(lang, translation.lang)
+  ) {
+    return;
+  }
+
+  banner.querySelector('a').href = translation.url;
+  banner.querySelector('.btn-close').addEventListener('click', () => {
+    LanguagePreference.dismiss(lang, translation.lang);
+    banner.classList.add('d-none');
+  });
+
+  banner.classList.remove('d-none');
+}
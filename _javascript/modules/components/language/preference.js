@@ -0,0 +1,89 @@
+/**
+ * The language the reader prefers, from the explicit choice made through the
+ * language switcher, or else from the browser languages.
+ */
+
+import { LocalStorage } from '../storage';
+
+const CHOICE_KEY = 'lang-choice';
+const OPT_OUT_KEY = 'lang-redirect';
+const DISMISSED_KEY = 'lang-dismissed';
+
+/**
+ * @param {string} lang BCP 47 language tag
+ * @returns {string} Primary language subtag, e.g. `pt` of `pt-BR`
+ */
+export function primary(lang) {
+  return lang.split('-')[0].toLowerCase();
+}
+
+export class LanguagePreference {
+  /**
+   * @returns {string | null} The language chosen through the switcher
+   */
+  static get choice() {
+    return LocalStorage.get(CHOICE_KEY);
+  }
+
+  static choose(lang) {
+    LocalStorage.set(CHOICE_KEY, lang);
+  }
+
+  /**
+   * @returns {boolean} Whether the reader asked never to be redirected
+   */
+  static get optedOut() {
+    return LocalStorage.get(OPT_OUT_KEY) === 'off';
+  }
+
+  static optOut() {
+    LocalStorage.set(OPT_OUT_KEY, 'off');
+  }
+
+  static #pair(from, to) {
+    return `${primary(from)}>${primary(to)}`;
+  }
+
+  static get #dismissed() {
+    const pairs = LocalStorage.getJSON(DISMISSED_KEY);
+    return Array.isArray(pairs) ? pairs : [];
+  }
+
+  /**
+   * @returns {boolean} Whether the reader declined the offers to switch from
+   *          the `from` language to the `to` language
+   */
+  static isDismissed(from, to) {
+    return this.#dismissed.includes(this.#pair(from, to));
+  }
+
+  static dismiss(from, to) {
+    const pair = this.#pair(from, to);
+    const pairs = this.#dismissed;
+
+    if (!pairs.includes(pair)) {
+      LocalStorage.setJSON(DISMISSED_KEY, pairs.concat(pair));
+    }
+  }
+
+  /**
+   * @param {string[]} langs Languages available for the page
+   * @returns {string | null} The preferred one of `langs`, or `null` if the
+   *          reader has none of them
+   */
+  static resolve(langs) {
+    const candidates = [this.choice]
+      .concat(navigator.languages || [navigator.language])
+      .filter(Boolean);
+
+    for (const candidate of candidates) {
+      const lang = langs.find((lang) => primary(lang) === primary(candidate));
+
+      if (lang !== undefined) {
+        return lang;
+      }
+    }
+
+    return null;
+  }
+}
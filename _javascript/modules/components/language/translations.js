@@ -0,0 +1,33 @@
+/**
+ * Map of the translated versions of the pages, generated by Jekyll from the
+ * `original_post` front matter of the EN posts.
+ */
+
+let pending = null;
+
+/**
+ * @returns {Promise<Object<string, { lang: string, url: string }>>}
+ */
+function loadTranslations() {
+  if (pending === null) {
+    pending = fetch(document.body.dataset.translations)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`${response.status} ${response.statusText}`);
+        }
+        return response.json();
+      })
+      .catch(() => ({}));
+  }
+
+  return pending;
+}
+
+/**
+ * @param {string} path Pathname of the page
+ * @returns {Promise<{ lang: string, url: string } | null>} The translation
+ *          of the page, if it has one
+ */
+export function findTranslation(path = window.location.pathname) {
+  return loadTranslations().then((translations) => translations[path] || null);
+}
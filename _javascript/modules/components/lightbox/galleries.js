@@ -0,0 +1,74 @@
+/**
+ * Galleries of the popup images of a post, one per `<h2>` section.
+ */
+
+import { escapeHtml } from '../search/highlight';
+
+const LIGHT_IMAGES = '.popup:not(.dark)';
+const DARK_IMAGES = '.popup:not(.light)';
+
+/**
+ * @param {HTMLAnchorElement} link A `.popup` image link
+ * @returns {string} The figure caption, the Markdown caption (the `<em>`
+ *          right after the image) or else the alternative text
+ */
+export function caption(link) {
+  const figure = link.closest('figure');
+  const next = link.nextElementSibling;
+  const img = link.querySelector('img');
+
+  if (figure !== null && figure.querySelector('figcaption') !== null) {
+    return figure.querySelector('figcaption').textContent.trim();
+  }
+
+  if (next !== null && next.tagName === 'EM') {
+    return next.textContent.trim();
+  }
+
+  return img === null ? '' : img.alt.trim();
+}
+
+function section(link, headings) {
+  return headings.filter(
+    (heading) =>
+      heading.compareDocumentPosition(link) & Node.DOCUMENT_POSITION_FOLLOWING
+  ).length;
+}
+
+/**
+ * @param {boolean} dark Collect the images of the dark color schemes
+ * @returns {HTMLAnchorElement[][]} The links of each section, leaving out the
+ *          images of the other color schemes
+ */
+export function collectGalleries(dark) {
+  const headings = [...document.querySelectorAll('.content h2')];
+  const galleries = [];
+
+  document
+    .querySelectorAll(`.content a${dark ? DARK_IMAGES : LIGHT_IMAGES}`)
+    .forEach((link) => {
+      const index = section(link, headings);
+      galleries[index] = galleries[index] || [];
+      galleries[index].push(link);
+    });
+
+  return galleries.filter(Boolean);
+}
+
+/**
+ * @param {HTMLAnchorElement[]} links
+ * @returns {Object[]} Slides of GLightbox
+ */
+export function toSlides(links) {
+  return links.map((link) => {
+    const img = link.querySelector('img');
+    const text = caption(link);
+
+    return {
+      href: link.href,
+      type: 'image',
+      alt: img === null ? '' : img.alt,
+      description: text === '' ? '' : `<p>${escapeHtml(text)}</p>`
+    };
+  });
+}
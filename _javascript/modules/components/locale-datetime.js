@@ -1,9 +1,18 @@
 /**
  * Update month/day to locale datetime
  *
+ * The dates marked with `data-relative` are shown relative to now, such as
+ * "3 days ago", and kept up to date by a single timer for the whole page.
+ *
  * Requirement: <https://github.com/iamkun/dayjs>
  */
 
+const REFRESH_INTERVAL = 60 * 1000; // in milliseconds
+
+/** @type {{ elem: Element, date: Object }[]} */
+const relatives = [];
+let timer = null;
+
 /* A tool for locale datetime */
 class LocaleHelper {
   static get attrTimestamp() {
@@ -14,6 +23,10 @@ class LocaleHelper {
     return 'data-df';
   }
 
+  static get attrRelative() {
+    return 'data-relative';
+  }
+
   static get locale() {
     return document.documentElement.getAttribute('lang').substring(0, 2);
   }
@@ -25,20 +38,62 @@ class LocaleHelper {
   static getDateFormat(elem) {
     return elem.getAttribute(this.attrDateFormat);
   }
+
+  static isRelative(elem) {
+    return (
+      elem.hasAttribute(this.attrRelative) &&
+      typeof window.dayjs_plugin_relativeTime !== 'undefined'
+    );
+  }
+}
+
+function refreshRelatives() {
+  const now = dayjs();
+
+  relatives.forEach(({ elem, date }) => {
+    // a clock running late must not tell a past date as a future one
+    elem.textContent = (date.isAfter(now) ? now : date).fromNow();
+  });
+}
+
+function watchRelatives() {
+  if (relatives.length === 0 || timer !== null) {
+    return;
+  }
+
+  refreshRelatives();
+  timer = setInterval(refreshRelatives, REFRESH_INTERVAL);
+
+  // the timers of the hidden tabs are throttled by the browser
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') {
+      refreshRelatives();
+    }
+  });
 }
 
 export function initLocaleDatetime() {
   dayjs.locale(LocaleHelper.locale);
   dayjs.extend(window.dayjs_plugin_localizedFormat);
 
+  if (typeof window.dayjs_plugin_relativeTime !== 'undefined') {
+    dayjs.extend(window.dayjs_plugin_relativeTime);
+  }
+
   document
     .querySelectorAll(`[${LocaleHelper.attrTimestamp}]`)
     .forEach((elem) => {
       const date = dayjs.unix(LocaleHelper.getTimestamp(elem));
-      const text = date.format(LocaleHelper.getDateFormat(elem));
-      elem.textContent = text;
+
+      if (LocaleHelper.isRelative(elem)) {
+        relatives.push({ elem, date });
+      } else {
+        elem.textContent = date.format(LocaleHelper.getDateFormat(elem));
+      }
+
       elem.removeAttribute(LocaleHelper.attrTimestamp);
       elem.removeAttribute(LocaleHelper.attrDateFormat);
+      elem.removeAttribute(LocaleHelper.attrRelative);
 
       // setup tooltips
       if (
@@ -50,4 +105,6 @@ export function initLocaleDatetime() {
         elem.setAttribute('data-bs-title', tooltipText);
       }
     });
+
+  watchRelatives();
 }
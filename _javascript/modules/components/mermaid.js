@@ -1,60 +1,146 @@
 /**
  * Mermaid-js loader
+ *
+ * The diagrams are rendered with `mermaid.run` when they get close to the
+ * viewport. A theme change re-renders the diagrams on screen, the others are
+ * rendered again when they are scrolled back into view.
+ *
+ * Clicking a diagram opens it in the zoom/pan viewer, and its actions download
+ * it as SVG or PNG.
  */
 
+import { downloadPng, downloadSvg } from './mermaid/export';
+import { DiagramViewer } from './mermaid/viewer';
+
 const MERMAID = 'mermaid';
-const themeMapper = Theme.getThemeMapper('default', 'dark');
+const themeMapper = Theme.getThemeMapper('default', 'dark', {
+  sepia: 'neutral'
+});
 
-function refreshTheme(event) {
-  if (event.source === window && event.data && event.data.id === Theme.ID) {
-    // Re-render the SVG › <https://github.com/mermaid-js/mermaid/issues/311#issuecomment-332557344>
-    const mermaidList = document.getElementsByClassName(MERMAID);
+const actionsTemplate = document.getElementById('mermaid-actions-template');
 
-    [...mermaidList].forEach((elem) => {
-      const svgCode = elem.previousSibling.children.item(0).textContent;
-      elem.textContent = svgCode;
-      elem.removeAttribute('data-processed');
-    });
+/** @type {WeakMap<Element, string>} */
+const sources = new WeakMap();
+const onScreen = new Set();
+
+// Mermaid renders with its global configuration, one diagram at a time
+let queue = Promise.resolve();
+
+function config(theme) {
+  return { startOnLoad: false, theme: themeMapper[theme] };
+}
+
+function render(diagram) {
+  queue = queue.then(() => {
+    const theme = themeMapper[Theme.visualState];
+
+    if (diagram.dataset.theme === theme) {
+      return;
+    }
+
+    diagram.dataset.theme = theme;
+    diagram.removeAttribute('data-processed');
+    diagram.textContent = sources.get(diagram);
+
+    return mermaid.run({ nodes: [diagram], suppressErrors: true });
+  });
+}
+
+function refreshTheme({ current }) {
+  queue = queue.then(() => mermaid.initialize(config(current)));
+  onScreen.forEach(render);
+}
+
+function filename(diagram) {
+  const slug = window.location.pathname.split('/').filter(Boolean).pop();
+  const index = [...document.getElementsByClassName(MERMAID)].indexOf(diagram);
+
+  return `${slug || 'diagram'}-${index + 1}`;
+}
 
-    const newTheme = themeMapper[Theme.visualState];
+function handleAction(diagram, button) {
+  const svg = diagram.querySelector('svg');
 
-    mermaid.initialize({ theme: newTheme });
-    mermaid.init(null, `.${MERMAID}`);
+  if (svg === null) {
+    return;
+  }
+
+  if (button.classList.contains('diagram-zoom')) {
+    DiagramViewer.open(svg);
+  } else if (button.classList.contains('diagram-svg')) {
+    downloadSvg(svg, filename(diagram));
+  } else if (button.classList.contains('diagram-png')) {
+    downloadPng(svg, filename(diagram)).catch(() => {
+      // the browser refused to draw the diagram, the SVG is left to download
+      downloadSvg(svg, filename(diagram));
+    });
   }
 }
 
-function setNode(elem) {
-  const svgCode = elem.textContent;
+/**
+ * Replaces the code block with a diagram and its actions.
+ */
+function setNode(elem, zoomable) {
   const backup = elem.parentElement;
-  backup.classList.add('d-none');
-  // Create mermaid node
-  const mermaid = document.createElement('pre');
-  mermaid.classList.add(MERMAID);
-  const text = document.createTextNode(svgCode);
-  mermaid.appendChild(text);
-  backup.after(mermaid);
+  const figure = document.createElement('figure');
+  const diagram = document.createElement('pre');
+
+  figure.classList.add('mermaid-diagram');
+  diagram.classList.add(MERMAID);
+  sources.set(diagram, elem.textContent);
+  diagram.textContent = elem.textContent;
+
+  if (zoomable) {
+    figure.appendChild(actionsTemplate.content.cloneNode(true));
+    figure.addEventListener('click', (e) => {
+      const button = e.target.closest('.diagram-actions button');
+
+      if (button !== null) {
+        handleAction(diagram, button);
+      } else if (diagram.contains(e.target) && !e.target.closest('a')) {
+        handleAction(diagram, figure.querySelector('.diagram-zoom'));
+      }
+    });
+  }
+
+  figure.appendChild(diagram);
+  backup.replaceWith(figure);
+
+  return diagram;
 }
 
 export function loadMermaid() {
   if (
     typeof mermaid === 'undefined' ||
-    typeof mermaid.initialize !== 'function'
+    typeof mermaid.initialize !== 'function' ||
+    typeof mermaid.run !== 'function'
   ) {
     return;
   }
 
-  const initTheme = themeMapper[Theme.visualState];
+  const zoomable = actionsTemplate !== null && DiagramViewer.init();
+  const basicList = document.getElementsByClassName('language-mermaid');
+  const diagrams = [...basicList].map((elem) => setNode(elem, zoomable));
 
-  let mermaidConf = {
-    theme: initTheme
-  };
+  mermaid.initialize(config(Theme.visualState));
 
-  const basicList = document.getElementsByClassName('language-mermaid');
-  [...basicList].forEach(setNode);
+  const observer = new IntersectionObserver(
+    (entries) => {
+      entries.forEach(({ target, isIntersecting }) => {
+        if (isIntersecting) {
+          onScreen.add(target);
+          render(target);
+        } else {
+          onScreen.delete(target);
+        }
+      });
+    },
+    { rootMargin: '200px 0px' }
+  );
 
-  mermaid.initialize(mermaidConf);
+  diagrams.forEach((diagram) => observer.observe(diagram));
 
   if (Theme.switchable) {
-    window.addEventListener('message', refreshTheme);
+    Theme.subscribe(refreshTheme);
   }
 }
@@ -0,0 +1,79 @@
+/**
+ * Downloads of the rendered diagrams as SVG and PNG files.
+ */
+
+import { downloadBlob } from '../download';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const MAX_RATIO = 2;
+
+/**
+ * @param {SVGSVGElement} svg
+ * @returns {{ width: number, height: number }} Natural size of the diagram
+ */
+export function svgSize(svg) {
+  const { width, height } = svg.viewBox.baseVal;
+
+  if (width > 0 && height > 0) {
+    return { width, height };
+  }
+
+  return svg.getBBox();
+}
+
+function serialize(svg) {
+  const clone = svg.cloneNode(true);
+  const { width, height } = svgSize(svg);
+
+  clone.setAttribute('xmlns', SVG_NS);
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+  clone.style.removeProperty('max-width');
+
+  return new XMLSerializer().serializeToString(clone);
+}
+
+/**
+ * @param {SVGSVGElement} svg
+ * @param {string} name File name without the extension
+ */
+export function downloadSvg(svg, name) {
+  downloadBlob(
+    new Blob([serialize(svg)], { type: 'image/svg+xml' }),
+    `${name}.svg`
+  );
+}
+
+/**
+ * Draws the diagram on the page background, as the colors of the dark themes
+ * would be unreadable on a transparent image.
+ *
+ * @param {SVGSVGElement} svg
+ * @param {string} name File name without the extension
+ * @returns {Promise<void>}
+ */
+export function downloadPng(svg, name) {
+  const { width, height } = svgSize(svg);
+  const ratio = Math.min(window.devicePixelRatio || 1, MAX_RATIO);
+  const image = new Image();
+
+  return new Promise((resolve, reject) => {
+    image.onload = resolve;
+    image.onerror = reject;
+    // a data URL keeps the canvas exportable with the HTML labels of Mermaid
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(serialize(svg))}`;
+  })
+    .then(() => {
+      const canvas = document.createElement('canvas');
+      const context = canvas.getContext('2d');
+
+      canvas.width = Math.ceil(width * ratio);
+      canvas.height = Math.ceil(height * ratio);
+      context.fillStyle = getComputedStyle(document.body).backgroundColor;
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+      return new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+    })
+    .then((blob) => downloadBlob(blob, `${name}.png`));
+}
@@ -0,0 +1,198 @@
+/**
+ * Zoom and pan viewer of the diagrams, in the `#mermaid-viewer` dialog.
+ *
+ * The wheel and the +/- buttons zoom, dragging pans, the arrow keys move the
+ * diagram and `0` fits it back to the screen.
+ */
+
+import { svgSize } from './export';
+
+const SCROLL_LOCK = 'overflow-hidden';
+const DRAGGING = 'dragging';
+
+const MIN_SCALE = 0.2;
+const MAX_SCALE = 8;
+const ZOOM_STEP = 1.25;
+const PAN_STEP = 40;
+
+export class DiagramViewer {
+  static #dialog = null;
+  static #canvas = null;
+  static #svg = null;
+  static #size = { width: 0, height: 0 };
+  static #scale = 1;
+  static #x = 0;
+  static #y = 0;
+  static #drag = null;
+
+  static init() {
+    this.#dialog = document.getElementById('mermaid-viewer');
+
+    if (this.#dialog === null) {
+      return false;
+    }
+
+    this.#canvas = this.#dialog.querySelector('.viewer-canvas');
+
+    this.#dialog.querySelectorAll('[data-zoom]').forEach((button) => {
+      button.addEventListener('click', () => this.#action(button.dataset.zoom));
+    });
+
+    this.#dialog.addEventListener('close', () => this.#lockScroll(false));
+    this.#dialog.addEventListener('click', (e) => {
+      if (e.target === this.#dialog) {
+        this.close();
+      }
+    });
+    this.#dialog.addEventListener('keydown', (e) => this.#handleKeys(e));
+
+    this.#canvas.addEventListener('wheel', (e) => this.#zoomByWheel(e), {
+      passive: false
+    });
+    this.#canvas.addEventListener('pointerdown', (e) => this.#startDrag(e));
+    this.#canvas.addEventListener('pointermove', (e) => this.#moveDrag(e));
+    this.#canvas.addEventListener('pointerup', () => this.#endDrag());
+    this.#canvas.addEventListener('pointercancel', () => this.#endDrag());
+
+    return true;
+  }
+
+  /**
+   * @param {SVGSVGElement} svg The rendered diagram, shown as a copy
+   */
+  static open(svg) {
+    this.#svg = svg.cloneNode(true);
+    this.#size = svgSize(svg);
+
+    // The copy keeps the id its styles are scoped to, and gets the natural
+    // size of the diagram for the zoom to scale it
+    this.#svg.style.removeProperty('max-width');
+    this.#svg.setAttribute('width', this.#size.width);
+    this.#svg.setAttribute('height', this.#size.height);
+
+    this.#canvas.replaceChildren(this.#svg);
+    this.#lockScroll(true);
+    this.#dialog.showModal();
+    this.#fit();
+  }
+
+  static close() {
+    this.#dialog.close();
+  }
+
+  static #action(name) {
+    switch (name) {
+      case 'in':
+        this.#zoom(ZOOM_STEP);
+        break;
+      case 'out':
+        this.#zoom(1 / ZOOM_STEP);
+        break;
+      case 'fit':
+        this.#fit();
+        break;
+      case 'close':
+        this.close();
+        break;
+    }
+  }
+
+  static #handleKeys(e) {
+    const moves = {
+      ArrowLeft: [PAN_STEP, 0],
+      ArrowRight: [-PAN_STEP, 0],
+      ArrowUp: [0, PAN_STEP],
+      ArrowDown: [0, -PAN_STEP]
+    };
+
+    if (e.key in moves) {
+      const [dx, dy] = moves[e.key];
+      this.#move(this.#x + dx, this.#y + dy);
+    } else if (e.key === '+' || e.key === '=') {
+      this.#zoom(ZOOM_STEP);
+    } else if (e.key === '-') {
+      this.#zoom(1 / ZOOM_STEP);
+    } else if (e.key === '0') {
+      this.#fit();
+    } else {
+      return;
+    }
+
+    e.preventDefault();
+  }
+
+  static #fit() {
+    const { width, height } = this.#canvas.getBoundingClientRect();
+    const scale = Math.min(
+      width / this.#size.width,
+      height / this.#size.height,
+      1
+    );
+
+    this.#scale = scale;
+    this.#move(
+      (width - this.#size.width * scale) / 2,
+      (height - this.#size.height * scale) / 2
+    );
+  }
+
+  /**
+   * Zooms around a point of the canvas, its center by default.
+   */
+  static #zoom(factor, originX, originY) {
+    const rect = this.#canvas.getBoundingClientRect();
+    const x = originX === undefined ? rect.width / 2 : originX;
+    const y = originY === undefined ? rect.height / 2 : originY;
+    const scale = Math.min(
+      Math.max(this.#scale * factor, MIN_SCALE),
+      MAX_SCALE
+    );
+    const ratio = scale / this.#scale;
+
+    this.#scale = scale;
+    this.#move(x - (x - this.#x) * ratio, y - (y - this.#y) * ratio);
+  }
+
+  static #zoomByWheel(e) {
+    e.preventDefault();
+
+    const rect = this.#canvas.getBoundingClientRect();
+    this.#zoom(
+      e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP,
+      e.clientX - rect.left,
+      e.clientY - rect.top
+    );
+  }
+
+  static #startDrag(e) {
+    if (e.button !== 0) {
+      return;
+    }
+
+    this.#canvas.setPointerCapture(e.pointerId);
+    this.#canvas.classList.add(DRAGGING);
+    this.#drag = { x: e.clientX - this.#x, y: e.clientY - this.#y };
+  }
+
+  static #moveDrag(e) {
+    if (this.#drag !== null) {
+      this.#move(e.clientX - this.#drag.x, e.clientY - this.#drag.y);
+    }
+  }
+
+  static #endDrag() {
+    this.#drag = null;
+    this.#canvas.classList.remove(DRAGGING);
+  }
+
+  static #move(x, y) {
+    this.#x = x;
+    this.#y = y;
+    this.#svg.style.transform = `translate(${x}px, ${y}px) scale(${this.#scale})`;
+  }
+
+  static #lockScroll(enable) {
+    document.documentElement.classList.toggle(SCROLL_LOCK, enable);
+    document.body.classList.toggle(SCROLL_LOCK, enable);
+  }
+}
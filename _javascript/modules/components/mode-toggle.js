@@ -1,15 +1,98 @@
 /**
- * Add listener for theme mode toggle
+ * Menu of the color schemes of the theme
  */
 
 const $toggle = document.getElementById('mode-toggle');
+const $menu = document.getElementById('mode-menu');
+
+const UNLOADED = 'd-none';
+
+function getItems() {
+  return [...$menu.querySelectorAll('[role="menuitemradio"]')];
+}
+
+function isOpen() {
+  return !$menu.classList.contains(UNLOADED);
+}
+
+function updateChecked() {
+  getItems().forEach((item) => {
+    item.setAttribute(
+      'aria-checked',
+      String(item.dataset.mode === Theme.preference)
+    );
+  });
+}
+
+function open() {
+  // another tab may have changed the preference without changing the colors
+  updateChecked();
+  $menu.classList.remove(UNLOADED);
+  $toggle.setAttribute('aria-expanded', 'true');
+  $menu.querySelector('[aria-checked="true"]').focus();
+}
+
+function close(restoreFocus = false) {
+  $menu.classList.add(UNLOADED);
+  $toggle.setAttribute('aria-expanded', 'false');
+
+  if (restoreFocus) {
+    $toggle.focus();
+  }
+}
+
+function moveFocus(step) {
+  const items = getItems();
+  const index = items.indexOf(document.activeElement);
+  items[(index + step + items.length) % items.length].focus();
+}
 
 export function modeWatcher() {
   if (!$toggle) {
     return;
   }
 
+  updateChecked();
+
   $toggle.addEventListener('click', () => {
-    Theme.flip();
+    if (isOpen()) {
+      close();
+    } else {
+      open();
+    }
+  });
+
+  $menu.addEventListener('click', (e) => {
+    const item = e.target.closest('[data-mode]');
+
+    if (item) {
+      Theme.setMode(item.dataset.mode);
+      updateChecked();
+      close(true);
+    }
+  });
+
+  $menu.addEventListener('keydown', (e) => {
+    switch (e.key) {
+      case 'ArrowDown':
+        moveFocus(1);
+        break;
+      case 'ArrowUp':
+        moveFocus(-1);
+        break;
+      case 'Escape':
+        close(true);
+        break;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+  });
+
+  document.addEventListener('click', (e) => {
+    if (isOpen() && !e.target.closest('#mode-selector')) {
+      close();
+    }
   });
 }
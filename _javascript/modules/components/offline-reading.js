@@ -0,0 +1,232 @@
+/**
+ * "Save for offline" actions of the posts and series, and the list of the
+ * saved items on the offline page, which the posts link to.
+ *
+ * The page collects the resources of the posts and the service worker stores
+ * them, answering through a `MessageChannel`.
+ */
+
+import { formatSize } from './format-size';
+import { escapeHtml } from './search/highlight';
+
+const btnSavePost = document.getElementById('save-offline');
+const btnSaveSeries = document.getElementById('save-series');
+const linkSaved = document.getElementById('saved-offline');
+const savedSection = document.getElementById('offline-saved-section');
+const savedList = document.getElementById('offline-saved');
+
+const ATTR_TITLE_ORIGIN = 'data-bs-original-title';
+const UNLOADED = 'd-none';
+
+const RESOURCES = [
+  'img[src]',
+  'img[data-src]',
+  'img[srcset]',
+  'source[srcset]',
+  'link[rel="stylesheet"][href]',
+  'script[src]'
+].join(',');
+
+const ITEM_ICONS = {
+  post: 'fa-file-lines',
+  series: 'fa-list-ol'
+};
+
+const ICONS = {
+  idle: ['fa-download'],
+  busy: ['fa-spinner', 'fa-spin'],
+  saved: ['fa-circle-check']
+};
+
+function absolute(path) {
+  return new URL(path, location.href).href;
+}
+
+function request(type, data = {}) {
+  return new Promise((resolve, reject) => {
+    const channel = new MessageChannel();
+
+    channel.port1.onmessage = ({ data }) => {
+      if (data.error) {
+        reject(new Error(data.error));
+      } else {
+        resolve(data.result);
+      }
+    };
+
+    navigator.serviceWorker.controller.postMessage({ type, ...data }, [
+      channel.port2
+    ]);
+  });
+}
+
+/**
+ * @returns {Promise<string[]>} URLs of the images, styles and scripts of
+ *          the page
+ */
+function collectResources(url) {
+  return fetch(url)
+    .then((response) => response.text())
+    .then((html) => {
+      const doc = new DOMParser().parseFromString(html, 'text/html');
+      const urls = new Set();
+
+      const add = (value) => {
+        const resolved = new URL(value, url);
+
+        if (resolved.protocol.startsWith('http')) {
+          resolved.hash = '';
+          urls.add(resolved.href);
+        }
+      };
+
+      doc.querySelectorAll(RESOURCES).forEach((node) => {
+        ['src', 'data-src', 'href'].forEach((attr) => {
+          if (node.hasAttribute(attr)) {
+            add(node.getAttribute(attr));
+          }
+        });
+
+        if (node.hasAttribute('srcset')) {
+          node
+            .getAttribute('srcset')
+            .split(',')
+            .forEach((candidate) => add(candidate.trim().split(/\s+/)[0]));
+        }
+      });
+
+      return [...urls];
+    });
+}
+
+function setState(btn, state) {
+  const label = state === 'saved' ? btn.dataset.labelSaved : btn.dataset.label;
+  const icon = btn.querySelector('i');
+  const text = btn.querySelector('span');
+
+  icon.classList.remove(...Object.values(ICONS).flat());
+  icon.classList.add(...ICONS[state]);
+
+  btn.disabled = state === 'busy';
+  btn.setAttribute('aria-pressed', String(state === 'saved'));
+  btn.setAttribute('aria-label', label);
+
+  if (text !== null) {
+    text.textContent = label;
+  }
+
+  // the tooltip moves the title once initialized
+  if (btn.hasAttribute(ATTR_TITLE_ORIGIN)) {
+    btn.setAttribute(ATTR_TITLE_ORIGIN, label);
+  } else if (btn.hasAttribute('title')) {
+    btn.title = label;
+  }
+}
+
+/**
+ * Toggles the item of the button in the reading list.
+ * @param {HTMLButtonElement} btn
+ * @param {string[]} pages Absolute URLs of the posts of the item
+ */
+function setupButton(btn, pages, saved) {
+  const { id, type, title } = btn.dataset;
+
+  setState(btn, saved.some((item) => item.id === id) ? 'saved' : 'idle');
+  btn.classList.remove(UNLOADED);
+
+  btn.addEventListener('click', () => {
+    const wasSaved = btn.getAttribute('aria-pressed') === 'true';
+    setState(btn, 'busy');
+
+    const action = wasSaved
+      ? request('offline:remove', { id })
+      : Promise.all(pages.map(collectResources)).then((resources) =>
+          request('offline:save', {
+            item: {
+              id,
+              type,
+              title,
+              url: pages[0],
+              resources: resources.flat()
+            }
+          })
+        );
+
+    action
+      .then(() => setState(btn, wasSaved ? 'idle' : 'saved'))
+      .catch(() => setState(btn, wasSaved ? 'saved' : 'idle'));
+  });
+}
+
+function renderSavedList(items) {
+  savedSection.classList.toggle(UNLOADED, items.length === 0);
+
+  savedList.innerHTML = items
+    .map(
+      (item) =>
+        '<li class="d-flex align-items-center">' +
+        `<i class="fas fa-fw ${ITEM_ICONS[item.type]} me-2"></i>` +
+        `<a href="${escapeHtml(item.url)}">${escapeHtml(item.title)}</a>` +
+        `<span class="text-muted ms-auto ps-3">${formatSize(item.size)}</span>` +
+        `<button type="button" class="btn btn-sm" data-id="${escapeHtml(item.id)}" ` +
+        `aria-label="${escapeHtml(savedList.dataset.remove)}">` +
+        '<i class="fas fa-trash-can pe-none"></i></button></li>'
+    )
+    .join('');
+}
+
+function setupSavedList(items) {
+  renderSavedList(items);
+
+  savedList.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-id]');
+
+    if (btn) {
+      btn.disabled = true;
+
+      request('offline:remove', { id: btn.dataset.id })
+        .then(() => request('offline:list'))
+        .then(renderSavedList)
+        .catch(() => {
+          btn.disabled = false;
+        });
+    }
+  });
+}
+
+export function initOfflineReading() {
+  if (btnSavePost === null && btnSaveSeries === null && savedList === null) {
+    return;
+  }
+
+  // The reading list needs a service worker to store the resources
+  if (!('serviceWorker' in navigator) || !navigator.serviceWorker.controller) {
+    return;
+  }
+
+  request('offline:list')
+    .then((items) => {
+      if (btnSavePost !== null) {
+        setupButton(btnSavePost, [absolute(location.pathname)], items);
+      }
+
+      if (linkSaved !== null) {
+        linkSaved.classList.remove(UNLOADED);
+      }
+
+      if (btnSaveSeries !== null) {
+        setupButton(
+          btnSaveSeries,
+          JSON.parse(btnSaveSeries.dataset.posts).map(absolute),
+          items
+        );
+      }
+
+      if (savedList !== null) {
+        setupSavedList(items);
+      }
+    })
+    .catch(() => {
+      // the actions stay hidden without a working reading list
+    });
+}
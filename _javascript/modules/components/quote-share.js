@@ -0,0 +1,223 @@
+/**
+ * Toolbar over the text selected in the post, to copy a link to the
+ * highlight, copy the text as a Markdown quote, or share it.
+ *
+ * The link points at a text fragment (`#:~:text=`) after the id of the
+ * section, and the browsers without text fragments are scrolled to the quote
+ * and highlight it here.
+ */
+
+import {
+  findRange,
+  normalize,
+  parseDirective,
+  textDirective
+} from './quote/fragment';
+
+const $toolbar = document.getElementById('quote-share');
+const $content = document.querySelector('.content');
+
+const HIDDEN = 'd-none';
+const HIGHLIGHT = 'text-fragment';
+
+const MIN_LENGTH = 3;
+const MAX_SHARED = 200; // characters of the quote in the share links
+const GAP = 8;
+const DELAY = 200;
+const TIMEOUT = 2000;
+
+/** @type {{ range: Range, text: string, url: string } | null} */
+let quote = null;
+let timer = null;
+
+/**
+ * @returns {string} Id of the heading of the section the range starts in
+ */
+function sectionId(range) {
+  const headings = $content.querySelectorAll('h2[id], h3[id], h4[id]');
+  let id = '';
+
+  headings.forEach((heading) => {
+    if (
+      heading.compareDocumentPosition(range.startContainer) &
+      Node.DOCUMENT_POSITION_FOLLOWING
+    ) {
+      id = heading.id;
+    }
+  });
+
+  return id;
+}
+
+function linkTo(range, text) {
+  const { origin, pathname, search } = window.location;
+  return `${origin}${pathname}${search}#${sectionId(range)}${textDirective(text)}`;
+}
+
+function markdownQuote({ text, url }) {
+  const { title, site } = $toolbar.dataset;
+  const lines = text
+    .trim()
+    .split(/\n\s*\n/)
+    .map((paragraph) => `> ${normalize(paragraph)}`);
+
+  return `${lines.join('\n>\n')}\n>\n> — [${title}](${url}), ${site}`;
+}
+
+function shareTitle(text) {
+  const shared =
+    text.length > MAX_SHARED ? `${text.slice(0, MAX_SHARED).trim()}…` : text;
+  return `“${shared}” — ${$toolbar.dataset.title}`;
+}
+
+function selectedRange() {
+  const selection = window.getSelection();
+
+  if (selection.rangeCount === 0 || selection.isCollapsed) {
+    return null;
+  }
+
+  const range = selection.getRangeAt(0);
+
+  if (
+    !$content.contains(range.commonAncestorContainer) ||
+    normalize(selection.toString()).length < MIN_LENGTH
+  ) {
+    return null;
+  }
+
+  return range;
+}
+
+function place() {
+  const rect = quote.range.getBoundingClientRect();
+  const { offsetWidth: width, offsetHeight: height } = $toolbar;
+  let top = rect.top - height - GAP;
+
+  // below the selection when there is no room above it
+  if (top < GAP) {
+    top = rect.bottom + GAP;
+  }
+
+  const left = Math.min(
+    Math.max(rect.left + (rect.width - width) / 2, GAP),
+    window.innerWidth - width - GAP
+  );
+
+  $toolbar.style.top = `${top}px`;
+  $toolbar.style.left = `${left}px`;
+}
+
+function show(range) {
+  const text = window.getSelection().toString();
+  const url = linkTo(range, text);
+
+  quote = { range, text, url };
+
+  $toolbar.querySelectorAll('a[data-link]').forEach((link) => {
+    link.href = link.dataset.link
+      .replace('TITLE', encodeURIComponent(shareTitle(normalize(text))))
+      .replace('URL', encodeURIComponent(url));
+  });
+
+  $toolbar.classList.remove(HIDDEN);
+  place();
+}
+
+function hide() {
+  quote = null;
+  $toolbar.classList.add(HIDDEN);
+}
+
+function announce(status) {
+  status.textContent = status.dataset.succeed;
+  setTimeout(() => {
+    status.textContent = '';
+  }, TIMEOUT);
+}
+
+function handleAction(button) {
+  const text =
+    button.dataset.action === 'link' ? quote.url : markdownQuote(quote);
+
+  navigator.clipboard.writeText(text).then(() => {
+    announce($toolbar.querySelector('.quote-share-status'));
+  });
+}
+
+/**
+ * Scrolls to the quote of the URL and highlights it, where the browser left
+ * the text directive in the fragment.
+ */
+function highlightFragment() {
+  const directive = parseDirective(window.location.hash);
+
+  if (directive === null) {
+    return;
+  }
+
+  const range = findRange($content, directive);
+
+  if (range === null) {
+    return;
+  }
+
+  if (typeof Highlight === 'function' && CSS.highlights) {
+    CSS.highlights.set(HIGHLIGHT, new Highlight(range));
+  } else {
+    window.getSelection().removeAllRanges();
+    window.getSelection().addRange(range);
+  }
+
+  range.startContainer.parentElement.scrollIntoView({ block: 'center' });
+}
+
+export function initQuoteShare() {
+  if ($toolbar === null || $content === null) {
+    return;
+  }
+
+  highlightFragment();
+
+  document.addEventListener('selectionchange', () => {
+    clearTimeout(timer);
+
+    // wait for the reader to finish the selection
+    timer = setTimeout(() => {
+      const range = selectedRange();
+
+      if (range === null) {
+        hide();
+      } else {
+        show(range);
+      }
+    }, DELAY);
+  });
+
+  // keep the selection while using the toolbar
+  $toolbar.addEventListener('mousedown', (e) => e.preventDefault());
+
+  $toolbar.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action]');
+
+    if (button !== null && quote !== null) {
+      handleAction(button);
+    }
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && quote !== null) {
+      hide();
+    }
+  });
+
+  window.addEventListener(
+    'scroll',
+    () => {
+      if (quote !== null) {
+        place();
+      }
+    },
+    { passive: true }
+  );
+}
@@ -0,0 +1,136 @@
+/**
+ * Text fragment directives (`#:~:text=`) pointing at a quote, and the search
+ * of their text for the browsers that do not scroll to them.
+ *
+ * Ref: <https://wicg.github.io/scroll-to-text-fragment/>
+ */
+
+const DIRECTIVE = ':~:text=';
+const MAX_EXACT = 80; // longer quotes are matched by their first and last words
+const EDGE_WORDS = 5;
+
+/**
+ * @returns {string} The text with its runs of whitespace as single spaces
+ */
+export function normalize(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/* Lowercases without changing the length, so offsets still match */
+function fold(text) {
+  return [...text]
+    .map((c) => {
+      const lower = c.toLowerCase();
+      return lower.length === c.length ? lower : c;
+    })
+    .join('');
+}
+
+// The characters separating the parts of the directive are escaped as well
+function encode(text) {
+  return encodeURIComponent(text).replace(/-/g, '%2D');
+}
+
+/**
+ * @param {string} text The quote
+ * @returns {string} The directive to append to the fragment of the URL
+ */
+export function textDirective(text) {
+  const quote = normalize(text);
+  const words = quote.split(' ');
+
+  if (quote.length <= MAX_EXACT || words.length <= EDGE_WORDS * 2) {
+    return `${DIRECTIVE}${encode(quote)}`;
+  }
+
+  const start = words.slice(0, EDGE_WORDS).join(' ');
+  const end = words.slice(-EDGE_WORDS).join(' ');
+
+  return `${DIRECTIVE}${encode(start)},${encode(end)}`;
+}
+
+/**
+ * @param {string} hash `location.hash`, which keeps the directive only in
+ *        the browsers without text fragments
+ * @returns {{ start: string, end: string | null } | null}
+ */
+export function parseDirective(hash) {
+  const index = hash.indexOf(DIRECTIVE);
+
+  if (index === -1) {
+    return null;
+  }
+
+  const parts = hash
+    .slice(index + DIRECTIVE.length)
+    .split('&')[0]
+    .split(',')
+    // the context terms `prefix-` and `-suffix` are not needed to find a quote
+    .filter((part) => !part.endsWith('-') && !part.startsWith('-'));
+
+  try {
+    const [start, end] = parts.map((part) => decodeURIComponent(part));
+    return start ? { start, end: end || null } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Finds the first occurrence of the quote, ignoring case and whitespace.
+ *
+ * @param {Element} root
+ * @param {{ start: string, end: string | null }} directive
+ * @returns {Range | null}
+ */
+export function findRange(root, { start, end }) {
+  const positions = []; // the text node and offset of each character of `text`
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  let text = '';
+
+  for (let node = walker.nextNode(); node !== null; node = walker.nextNode()) {
+    for (let i = 0; i < node.data.length; i++) {
+      const c = node.data[i];
+
+      if (/\s/.test(c)) {
+        if (text === '' || text.endsWith(' ')) {
+          continue;
+        }
+
+        text += ' ';
+      } else {
+        text += fold(c);
+      }
+
+      positions.push([node, i]);
+    }
+  }
+
+  const first = fold(normalize(start));
+  const from = text.indexOf(first);
+
+  if (first === '' || from === -1) {
+    return null;
+  }
+
+  let to = from + first.length;
+
+  if (end !== null) {
+    const last = fold(normalize(end));
+    const index = text.indexOf(last, to);
+
+    if (index === -1) {
+      return null;
+    }
+
+    to = index + last.length;
+  }
+
+  const range = document.createRange();
+  const [endNode, endOffset] = positions[to - 1];
+
+  range.setStart(...positions[from]);
+  range.setEnd(endNode, endOffset + 1);
+
+  return range;
+}
@@ -0,0 +1,133 @@
+/**
+ * Fills the reading progress bar of the post, remembers the last heading
+ * reached and offers to jump back to it when the post is reopened.
+ */
+
+import { ReadingPositions } from './reading/positions';
+import { scrollPercent } from './reading/scroll';
+
+const bar = document.getElementById('reading-progress-bar');
+const resume = document.getElementById('reading-resume');
+const headings = document.querySelectorAll(
+  'article .content h2[id], article .content h3[id]'
+);
+
+/* Positions outside of this range are not worth resuming */
+const MIN_PERCENT = 5;
+const DONE_PERCENT = 95;
+
+const SAVE_DELAY = 500;
+
+const url = window.location.pathname;
+
+/**
+ * @returns {Element | undefined} The last heading scrolled past the upper
+ *          quarter of the viewport
+ */
+function lastHeading() {
+  const line = window.innerHeight / 4;
+  return [...headings]
+    .filter((heading) => heading.getBoundingClientRect().top <= line)
+    .pop();
+}
+
+function savePosition() {
+  const percent = Math.round(scrollPercent());
+
+  if (percent >= DONE_PERCENT) {
+    ReadingPositions.remove(url);
+  } else if (percent >= MIN_PERCENT) {
+    const heading = lastHeading();
+
+    ReadingPositions.save(url, {
+      heading: heading ? heading.id : null,
+      label: heading ? heading.textContent.trim() : '',
+      percent
+    });
+  }
+}
+
+function jumpTo(position) {
+  const heading =
+    position.heading === null
+      ? null
+      : document.getElementById(position.heading);
+
+  if (heading !== null) {
+    heading.scrollIntoView();
+  } else {
+    const { scrollHeight, clientHeight } = document.documentElement;
+    window.scrollTo(
+      0,
+      ((scrollHeight - clientHeight) * position.percent) / 100
+    );
+  }
+}
+
+function offerResume() {
+  const position = ReadingPositions.get(url);
+
+  // Links to a section and restored scroll positions already have a place
+  if (
+    resume === null ||
+    position === undefined ||
+    window.location.hash !== '' ||
+    scrollPercent() >= MIN_PERCENT
+  ) {
+    return;
+  }
+
+  const section = resume.querySelector('.section');
+  section.textContent = position.label;
+  section.classList.toggle('d-none', position.label === '');
+
+  resume.querySelector('.btn-resume').addEventListener('click', () => {
+    resume.classList.add('d-none');
+    jumpTo(position);
+  });
+
+  resume.querySelector('.btn-close').addEventListener('click', () => {
+    resume.classList.add('d-none');
+  });
+
+  resume.classList.remove('d-none');
+}
+
+export function initReadingProgress() {
+  if (bar === null) {
+    return;
+  }
+
+  let timer = null;
+
+  const updateProgress = () => {
+    bar.style.width = `${scrollPercent()}%`;
+  };
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    savePosition();
+  };
+
+  // Nothing is saved before the reader scrolls, so the offer stays valid
+  window.addEventListener(
+    'scroll',
+    () => {
+      updateProgress();
+      clearTimeout(timer);
+      timer = setTimeout(flush, SAVE_DELAY);
+    },
+    { passive: true }
+  );
+
+  window.addEventListener('pagehide', () => {
+    if (timer !== null) {
+      flush();
+    }
+  });
+
+  window.addEventListener('resize', updateProgress);
+  updateProgress();
+  offerResume();
+}
@@ -0,0 +1,50 @@
+/**
+ * Where the reader stopped in the partially read posts, kept in the local
+ * storage of the browser.
+ */
+
+import { LocalStorage } from '../storage';
+
+const KEY = 'reading-positions';
+const MAX_ITEMS = 20;
+
+/**
+ * @typedef {Object} ReadingPosition
+ * @property {string} url Pathname of the post
+ * @property {string | null} heading Id of the last heading reached
+ * @property {string} label Text of that heading
+ * @property {number} percent Share of the post scrolled through, 0 to 100
+ * @property {number} time When the post was last read, in milliseconds
+ */
+
+export class ReadingPositions {
+  /**
+   * @returns {ReadingPosition[]} The most recently read first
+   */
+  static get items() {
+    const items = LocalStorage.getJSON(KEY);
+    return Array.isArray(items) ? items : [];
+  }
+
+  /**
+   * @returns {ReadingPosition | undefined}
+   */
+  static get(url) {
+    return this.items.find((item) => item.url === url);
+  }
+
+  static save(url, { heading, label, percent }) {
+    const items = this.items.filter((item) => item.url !== url);
+    items.unshift({ url, heading, label, percent, time: Date.now() });
+    LocalStorage.setJSON(KEY, items.slice(0, MAX_ITEMS));
+  }
+
+  static remove(url) {
+    const items = this.items;
+    const rest = items.filter((item) => item.url !== url);
+
+    if (rest.length !== items.length) {
+      LocalStorage.setJSON(KEY, rest);
+    }
+  }
+}
@@ -0,0 +1,14 @@
+/**
+ * @returns {number} Share of the page scrolled through, 0 to 100. A page that
+ *          does not scroll is shown in full, so it counts as 100.
+ */
+export function scrollPercent() {
+  const scrollTop = window.scrollY || document.documentElement.scrollTop;
+  const scrollHeight =
+    document.documentElement.scrollHeight -
+    document.documentElement.clientHeight;
+
+  return scrollHeight > 0
+    ? Math.min(100, (scrollTop / scrollHeight) * 100)
+    : 100;
+}
@@ -1,7 +1,27 @@
 /**
- * This script make #search-result-wrapper switch to unload or shown automatically.
+ * This script make #search-result-wrapper switch to unload or shown automatically,
+ * and renders the matches of the search engine into #search-results.
+ *
+ * The input works as a combobox over the results: Ctrl/Cmd + K opens it,
+ * the arrow keys move the selection, Enter opens the selected post
+ * (Shift + Enter in a new tab) and Esc closes the search.
+ *
+ * #search-hints lists the recent searches, and #search-suggestions completes
+ * the word being typed or, when nothing matches, proposes a corrected query.
  */
 
+import { countFacets } from './search/facets';
+import { SearchHistory } from './search/history';
+import { loadSearchEngine } from './search/loader';
+import { createFilter, parseQuery, stringifyQuery } from './search/query';
+import {
+  renderFacets,
+  renderHistory,
+  renderResult,
+  renderSuggestions
+} from './search/render';
+import { complete, correct } from './search/suggest';
+
 const btnSbTrigger = document.getElementById('sidebar-trigger');
 const btnSearchTrigger = document.getElementById('search-trigger');
 const btnCancel = document.getElementById('search-cancel');
@@ -10,14 +30,26 @@ const topbarTitle = document.getElementById('topbar-title');
 const search = document.getElementById('search');
 const resultWrapper = document.getElementById('search-result-wrapper');
 const results = document.getElementById('search-results');
+const facets = document.getElementById('search-facets');
 const input = document.getElementById('search-input');
 const hints = document.getElementById('search-hints');
+const history = document.getElementById('search-history');
+const historyList = document.getElementById('search-history-list');
+const btnClearHistory = document.getElementById('search-history-clear');
+const suggestions = document.getElementById('search-suggestions');
+const status = document.getElementById('search-status');
+const shortcut = document.getElementById('search-shortcut');
+const noResultsTemplate = document.getElementById('search-no-results-template');
 
 // CSS class names
 const LOADED = 'd-block';
 const UNLOADED = 'd-none';
 const FOCUS = 'input-focus';
 const FLEX = 'd-flex';
+const ACTIVE = 'active';
+const SELECTED = 'selected';
+
+const MAX_RESULTS = 10;
 
 /* Actions in mobile screens (Sidebar hidden) */
 class MobileSearchBar {
@@ -54,6 +86,8 @@ class ResultSwitch {
   static off() {
     if (this.resultVisible) {
       results.innerHTML = '';
+      facets.innerHTML = '';
+      suggestions.innerHTML = '';
 
       if (hints.classList.contains(UNLOADED)) {
         hints.classList.remove(UNLOADED);
@@ -64,11 +98,246 @@ class ResultSwitch {
         el.classList.remove(UNLOADED);
       });
       input.textContent = '';
+      ResultCursor.reset();
       this.resultVisible = false;
     }
   }
 }
 
+/* Keyboard selection in the listbox of results */
+class ResultCursor {
+  static #index = -1;
+
+  static get #options() {
+    return results.querySelectorAll('[role="option"]');
+  }
+
+  /**
+   * Prepares freshly rendered results and selects the first one.
+   */
+  static reset() {
+    const options = this.#options;
+
+    options.forEach((option, i) => {
+      option.id = `search-result-${i}`;
+      option.setAttribute('aria-selected', 'false');
+    });
+
+    this.#index = -1;
+    input.removeAttribute('aria-activedescendant');
+    input.setAttribute('aria-expanded', String(options.length > 0));
+
+    if (options.length > 0) {
+      this.select(0);
+    }
+  }
+
+  static select(index) {
+    const options = this.#options;
+
+    if (this.#index >= 0 && this.#index < options.length) {
+      options[this.#index].classList.remove(SELECTED);
+      options[this.#index].setAttribute('aria-selected', 'false');
+    }
+
+    this.#index = index;
+
+    const option = options[index];
+    option.classList.add(SELECTED);
+    option.setAttribute('aria-selected', 'true');
+    option.scrollIntoView({ block: 'nearest' });
+    input.setAttribute('aria-activedescendant', option.id);
+  }
+
+  static move(step) {
+    const total = this.#options.length;
+
+    if (total > 0) {
+      this.select((this.#index + step + total) % total);
+    }
+  }
+
+  /**
+   * @param {boolean} newTab Open the post in a new tab
+   */
+  static open(newTab) {
+    const option = this.#options[this.#index];
+
+    if (option === undefined) {
+      return;
+    }
+
+    const link = option.querySelector('a');
+
+    if (newTab) {
+      remember();
+      window.open(link.href, '_blank', 'noopener');
+    } else {
+      link.click();
+    }
+  }
+}
+
+function showHistory() {
+  const items = SearchHistory.items;
+  historyList.innerHTML = renderHistory(items);
+  history.classList.toggle(UNLOADED, items.length === 0);
+}
+
+function remember() {
+  SearchHistory.add(input.value);
+  showHistory();
+}
+
+/**
+ * Replaces the search input with the query and runs it.
+ */
+function runQuery(query) {
+  input.value = query;
+  input.dispatchEvent(new Event('input'));
+  input.focus();
+}
+
+function showSuggestions(engine, value, text, matches) {
+  const partial = /(?:^|\s)([^\s:]+)$/.exec(value);
+  const completions = partial ? complete(engine, partial[1]) : [];
+  const correction = matches.length === 0 ? correct(engine, text) : null;
+
+  suggestions.innerHTML = renderSuggestions(
+    completions,
+    correction === null
+      ? null
+      : stringifyQuery({
+          text: correction,
+          filters: parseQuery(value).filters
+        }),
+    suggestions.dataset.didYouMean
+  );
+}
+
+function announce(count) {
+  status.textContent =
+    count === 0
+      ? noResultsTemplate.content.textContent.trim()
+      : status.dataset.template.replace(':NUM', count);
+}
+
+/**
+ * Adds or removes a filter of the query in the search input.
+ */
+function toggleFilter(chip) {
+  const { key, value } = chip.dataset;
+  const query = parseQuery(input.value);
+
+  if (chip.classList.contains(ACTIVE)) {
+    query.filters = query.filters.filter(
+      (filter) => filter.key !== key || filter.value !== value
+    );
+  } else {
+    query.filters.push({ key, value });
+  }
+
+  runQuery(stringifyQuery(query));
+}
+
+function showResults(value) {
+  const { text, filters } = parseQuery(value);
+
+  loadSearchEngine(filters)
+    .then((engine) => {
+      // the reader kept typing while the index was loading
+      if (input.value !== value) {
+        return;
+      }
+
+      const matches = engine.search(text, {
+        limit: Infinity,
+        filter: createFilter(filters)
+      });
+
+      facets.innerHTML = renderFacets(
+        filters,
+        countFacets(matches.map((match) => match.doc)),
+        matches.length
+      );
+
+      if (matches.length === 0) {
+        results.innerHTML = noResultsTemplate.innerHTML;
+      } else {
+        results.innerHTML = matches
+          .slice(0, MAX_RESULTS)
+          .map((match) => renderResult(match, engine.analyzer))
+          .join('');
+      }
+
+      showSuggestions(engine, value, text, matches);
+      ResultCursor.reset();
+      announce(matches.length);
+    })
+    .catch(() => {
+      // the index could not be loaded, e.g. offline
+      if (input.value !== value) {
+        return;
+      }
+
+      facets.innerHTML = '';
+      suggestions.innerHTML = '';
+      results.innerHTML = noResultsTemplate.innerHTML;
+      ResultCursor.reset();
+      announce(0);
+    });
+}
+
+function openSearch() {
+  // The trigger is only visible when the search bar is collapsed
+  if (btnSearchTrigger.offsetParent !== null) {
+    btnSearchTrigger.click();
+  } else {
+    input.focus();
+    input.select();
+
+    // Let the palette offer the recent searches
+    if (input.value === '' && SearchHistory.items.length > 0) {
+      ResultSwitch.on();
+    }
+  }
+}
+
+function closeSearch() {
+  if (isMobileView()) {
+    MobileSearchBar.off();
+  }
+
+  ResultSwitch.off();
+  input.value = '';
+  input.blur();
+}
+
+function handleKeys(e) {
+  if (e.isComposing) {
+    return;
+  }
+
+  switch (e.key) {
+    case 'ArrowDown':
+      ResultCursor.move(1);
+      break;
+    case 'ArrowUp':
+      ResultCursor.move(-1);
+      break;
+    case 'Enter':
+      ResultCursor.open(e.shiftKey);
+      break;
+    case 'Escape':
+      closeSearch();
+      break;
+    default:
+      return;
+  }
+
+  e.preventDefault();
+}
+
 function isMobileView() {
   return btnCancel.classList.contains(LOADED);
 }
@@ -105,6 +374,63 @@ export function displaySearch() {
       if (isMobileView()) {
         hints.classList.add(UNLOADED);
       }
+      showResults(input.value);
+    }
+  });
+
+  input.addEventListener('keydown', handleKeys);
+
+  document.addEventListener('keydown', (e) => {
+    if ((e.ctrlKey || e.metaKey) && (e.key === 'k' || e.key === 'K')) {
+      e.preventDefault();
+      openSearch();
+    }
+  });
+
+  if (/Mac|iPhone|iPad/.test(navigator.platform)) {
+    shortcut.textContent = '⌘K';
+  }
+
+  showHistory();
+
+  historyList.addEventListener('click', (e) => {
+    const item = e.target.closest('.history-item');
+
+    if (item) {
+      runQuery(item.dataset.query);
+    }
+  });
+
+  btnClearHistory.addEventListener('click', () => {
+    SearchHistory.clear();
+    showHistory();
+  });
+
+  suggestions.addEventListener('click', (e) => {
+    const completion = e.target.closest('.completion');
+    const correction = e.target.closest('.correction');
+
+    if (completion) {
+      runQuery(
+        input.value.replace(/\S*$/, `${completion.dataset.completion} `)
+      );
+    } else if (correction) {
+      runQuery(correction.dataset.query);
+    }
+  });
+
+  // Remember the searches that led to a post
+  results.addEventListener('click', (e) => {
+    if (e.target.closest('a')) {
+      remember();
+    }
+  });
+
+  facets.addEventListener('click', (e) => {
+    const chip = e.target.closest('.facet-chip');
+
+    if (chip) {
+      toggleFilter(chip);
     }
   });
 }
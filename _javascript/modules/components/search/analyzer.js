@@ -0,0 +1,185 @@
+/**
+ * Text analysis shared by the search index and the queries:
+ * diacritic folding, tokenizing, stop words and light stemming.
+ */
+
+const DIACRITICS = /[\u0300-\u036f]/g;
+const SEPARATOR = /[^a-z0-9]+/;
+
+const STOPWORDS = {
+  pt: new Set(
+    (
+      'a o as os um uma uns umas de da do das dos em na no nas nos e ou ' +
+      'que se por para com sem como mais mas ao aos ja nao sao ser ter foi ' +
+      'pelo pela pelos pelas esse essa isso este esta isto seu sua'
+    ).split(' ')
+  ),
+  en: new Set(
+    (
+      'a an the of in on at to for from by with and or not is are was were ' +
+      'be been it its this that these those as into than then your you'
+    ).split(' ')
+  )
+};
+
+/* Portuguese plural endings, already folded, longest first */
+const PT_PLURALS = [
+  ['oes', 'ao'],
+  ['aes', 'ao'],
+  ['ais', 'al'],
+  ['eis', 'el'],
+  ['ois', 'ol'],
+  ['ns', 'm'],
+  ['res', 'r'],
+  ['les', 'l'],
+  ['s', '']
+];
+
+const PT_SUFFIXES = [
+  'amente',
+  'imente',
+  'mente',
+  'idades',
+  'idade',
+  'acoes',
+  'acao',
+  'encias',
+  'encia',
+  'ancias',
+  'ancia',
+  'ismos',
+  'ismo',
+  'istas',
+  'ista',
+  'avel',
+  'ivel',
+  'ente',
+  'ante'
+];
+
+const EN_SUFFIXES = [
+  ['ational', 'ate'],
+  ['ization', 'ize'],
+  ['fulness', 'ful'],
+  ['ousness', 'ous'],
+  ['iveness', 'ive'],
+  ['ations', 'ate'],
+  ['ation', 'ate'],
+  ['ness', ''],
+  ['ment', ''],
+  ['ers', ''],
+  ['er', ''],
+  ['ly', '']
+];
+
+const VOWEL = /[aeiouy]/;
+
+function stemPortuguese(word) {
+  if (word.length < 4) {
+    return word;
+  }
+
+  for (const [suffix, replacement] of PT_PLURALS) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 3) {
+      // 'lapis', 'virus', 'status' are singular
+      if (suffix === 's' && /[iu]s$/.test(word)) {
+        break;
+      }
+      word = word.slice(0, -suffix.length) + replacement;
+      break;
+    }
+  }
+
+  for (const suffix of PT_SUFFIXES) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 3) {
+      word = word.slice(0, -suffix.length);
+      break;
+    }
+  }
+
+  if (word.length > 3 && /[aeo]$/.test(word)) {
+    word = word.slice(0, -1);
+  }
+
+  return word;
+}
+
+function stemEnglish(word) {
+  if (word.length < 4) {
+    return word;
+  }
+
+  if (word.endsWith('ies') && word.length > 4) {
+    word = word.slice(0, -3) + 'y';
+  } else if (word.endsWith('sses')) {
+    word = word.slice(0, -2);
+  } else if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) {
+    word = word.slice(0, -1);
+  }
+
+  for (const suffix of ['ing', 'ed']) {
+    const stem = word.slice(0, -suffix.length);
+
+    if (word.endsWith(suffix) && stem.length >= 3 && VOWEL.test(stem)) {
+      word = /([^aeioulsz])\1$/.test(stem) ? stem.slice(0, -1) : stem;
+      break;
+    }
+  }
+
+  for (const [suffix, replacement] of EN_SUFFIXES) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 3) {
+      word = word.slice(0, -suffix.length) + replacement;
+      break;
+    }
+  }
+
+  return word;
+}
+
+/**
+ * Lowercases the text and strips its diacritics, so that "Concorrência"
+ * and "concorrencia" produce the same token.
+ * @param {string} text
+ * @returns {string}
+ */
+export function fold(text) {
+  return text.normalize('NFD').replace(DIACRITICS, '').toLowerCase();
+}
+
+/**
+ * Splits the text into folded words.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return fold(text)
+    .split(SEPARATOR)
+    .filter((token) => token !== '');
+}
+
+/**
+ * Language-aware analyzer producing the terms stored in the index.
+ */
+export class Analyzer {
+  /**
+   * @param {string} lang Page language, e.g. 'pt-BR' or 'en'
+   */
+  constructor(lang = 'en') {
+    this.lang = lang.substring(0, 2) === 'pt' ? 'pt' : 'en';
+    this.stem = this.lang === 'pt' ? stemPortuguese : stemEnglish;
+  }
+
+  isStopword(token) {
+    return STOPWORDS[this.lang].has(token);
+  }
+
+  /**
+   * @param {string} text
+   * @returns {string[]} Stemmed terms, stop words excluded
+   */
+  terms(text) {
+    return tokenize(text)
+      .filter((token) => !this.isStopword(token))
+      .map((token) => this.stem(token));
+  }
+}
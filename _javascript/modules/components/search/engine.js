@@ -0,0 +1,418 @@
+/**
+ * Client-side full-text search engine.
+ *
+ * Builds an inverted index over the posts of `search.json` and ranks the
+ * matches with BM25F, so hits in titles and tags outweigh hits in the
+ * excerpt. Query words also match by prefix (search-as-you-type) and by
+ * edit distance (typos), ranked below the posts matching them exactly.
+ */
+
+// Explicit extension, as this module is also loaded by Node in `search-index.js`
+import { Analyzer, tokenize } from './analyzer.js';
+
+/* Field weights of BM25F */
+const FIELDS = {
+  title: 3,
+  tags: 2.5,
+  categories: 1.5,
+  content: 1
+};
+
+const K1 = 1.2;
+const B = 0.75;
+
+const WEIGHT_EXACT = 1;
+const WEIGHT_PREFIX = 0.7;
+const WEIGHT_FUZZY = 0.5;
+const MIN_PREFIX = 2;
+
+/**
+ * Bounded Levenshtein distance, returns `max + 1` as soon as the distance
+ * is known to exceed `max`.
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+      rowMin = Math.min(rowMin, curr[j]);
+    }
+
+    if (rowMin > max) {
+      return max + 1;
+    }
+
+    prev = curr;
+  }
+
+  return prev[b.length];
+}
+
+/**
+ * @param {string} token Folded query word
+ * @returns {number} The number of typos tolerated for the word
+ */
+function fuzziness(token) {
+  if (token.length < 4) {
+    return 0;
+  }
+
+  return token.length < 8 ? 1 : 2;
+}
+
+export class SearchEngine {
+  /**
+   * @param {Object[]} docs Entries of `search.json`
+   * @param {Object} options
+   * @param {string} options.lang Language used to pick the stemmer
+   * @param {Object} options.index Index serialized by `toJSON()`, skips
+   *        the analysis of the documents
+   */
+  constructor(docs, { lang = 'en', index = null } = {}) {
+    this.docs = docs;
+    this.analyzer = new Analyzer(lang);
+
+    /** @type {Map<string, Map<number, Object<string, number>>>} term -> doc -> field -> tf */
+    this.postings = new Map();
+
+    /** @type {Map<string, string>} folded word -> term */
+    this.words = new Map();
+
+    this.lengths = docs.map(() => ({}));
+    this.avgLengths = {};
+
+    if (index === null) {
+      docs.forEach((doc, id) => this.#add(doc, id));
+    } else {
+      this.#restore(index);
+    }
+
+    for (const field of Object.keys(FIELDS)) {
+      const total = this.lengths.reduce((sum, len) => sum + len[field], 0);
+      this.avgLengths[field] = total / docs.length || 1;
+    }
+
+    this.vocabulary = [...this.words.keys()].sort();
+  }
+
+  /**
+   * @param {Object} data Object produced by `toJSON()`
+   * @returns {SearchEngine}
+   */
+  static fromJSON(data) {
+    return new SearchEngine(data.docs, { lang: data.lang, index: data.index });
+  }
+
+  /**
+   * Compact form of the index, with the per-field values stored as arrays
+   * in the order of `FIELDS` and the doc IDs of each term delta-encoded.
+   */
+  toJSON() {
+    const fields = Object.keys(FIELDS);
+    const terms = [...this.postings.keys()];
+    const termIds = new Map(terms.map((term, i) => [term, i]));
+    const words = [...this.words.keys()];
+
+    const postings = terms.map((term) => {
+      const flat = [];
+      let last = 0;
+
+      for (const [id, tf] of this.postings.get(term)) {
+        flat.push(id - last, ...fields.map((field) => tf[field] || 0));
+        last = id;
+      }
+
+      return flat;
+    });
+
+    return {
+      lang: this.analyzer.lang,
+      docs: this.docs,
+      index: {
+        lengths: this.lengths.map((len) => fields.map((field) => len[field])),
+        terms,
+        words,
+        wordTerms: words.map((word) => termIds.get(this.words.get(word))),
+        postings
+      }
+    };
+  }
+
+  #restore({ lengths, terms, words, wordTerms, postings }) {
+    const fields = Object.keys(FIELDS);
+    const stride = fields.length + 1;
+
+    lengths.forEach((values, id) => {
+      fields.forEach((field, i) => (this.lengths[id][field] = values[i]));
+    });
+
+    words.forEach((word, i) => this.words.set(word, terms[wordTerms[i]]));
+
+    terms.forEach((term, i) => {
+      const flat = postings[i];
+      const map = new Map();
+      let id = 0;
+
+      for (let j = 0; j < flat.length; j += stride) {
+        id += flat[j];
+
+        const tf = {};
+        fields.forEach((field, k) => {
+          if (flat[j + k + 1] > 0) {
+            tf[field] = flat[j + k + 1];
+          }
+        });
+        map.set(id, tf);
+      }
+
+      this.postings.set(term, map);
+    });
+  }
+
+  #add(doc, id) {
+    for (const field of Object.keys(FIELDS)) {
+      const tokens = tokenize(doc[field] || '').filter(
+        (token) => !this.analyzer.isStopword(token)
+      );
+
+      this.lengths[id][field] = tokens.length;
+
+      for (const token of tokens) {
+        let term = this.words.get(token);
+
+        if (term === undefined) {
+          term = this.analyzer.stem(token);
+          this.words.set(token, term);
+        }
+
+        if (!this.postings.has(term)) {
+          this.postings.set(term, new Map());
+        }
+
+        const postings = this.postings.get(term);
+
+        if (!postings.has(id)) {
+          postings.set(id, {});
+        }
+
+        const tf = postings.get(id);
+        tf[field] = (tf[field] || 0) + 1;
+      }
+    }
+  }
+
+  /**
+   * Index of the first vocabulary word not lower than `prefix`.
+   */
+  #lowerBound(prefix) {
+    let lo = 0;
+    let hi = this.vocabulary.length;
+
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1;
+
+      if (this.vocabulary[mid] < prefix) {
+        lo = mid + 1;
+      } else {
+        hi = mid;
+      }
+    }
+
+    return lo;
+  }
+
+  /**
+   * Expands a query word into the index terms it matches.
+   * @param {string} token Folded query word
+   * @returns {Map<string, number>} term -> match weight
+   */
+  expand(token) {
+    const matches = new Map();
+    const keep = (term, weight) => {
+      if ((matches.get(term) || 0) < weight) {
+        matches.set(term, weight);
+      }
+    };
+
+    const stem = this.analyzer.stem(token);
+
+    if (this.postings.has(stem)) {
+      keep(stem, WEIGHT_EXACT);
+    }
+
+    if (token.length >= MIN_PREFIX) {
+      for (
+        let i = this.#lowerBound(token);
+        i < this.vocabulary.length && this.vocabulary[i].startsWith(token);
+        i++
+      ) {
+        const word = this.vocabulary[i];
+        keep(
+          this.words.get(word),
+          word === token ? WEIGHT_EXACT : WEIGHT_PREFIX
+        );
+      }
+    }
+
+    const max = fuzziness(token);
+
+    if (matches.size === 0 && max > 0) {
+      for (const word of this.vocabulary) {
+        const distance = editDistance(token, word, max);
+
+        if (distance <= max) {
+          keep(this.words.get(word), WEIGHT_FUZZY / distance);
+        }
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Spelling correction for a query word, with a wider tolerance than the
+   * fuzzy matching of `expand()`.
+   * @param {string} token Folded query word
+   * @returns {string | null} The closest vocabulary word, the most frequent
+   *          one on ties, or `null` if none is close enough
+   */
+  closestWord(token) {
+    const max = Math.min(3, Math.ceil(token.length / 3));
+    let best = null;
+    let bestDistance = max + 1;
+    let bestFrequency = 0;
+
+    for (const word of this.vocabulary) {
+      const distance = editDistance(token, word, max);
+
+      if (distance === 0 || distance > max || distance > bestDistance) {
+        continue;
+      }
+
+      const frequency = this.postings.get(this.words.get(word)).size;
+
+      if (distance < bestDistance || frequency > bestFrequency) {
+        best = word;
+        bestDistance = distance;
+        bestFrequency = frequency;
+      }
+    }
+
+    return best;
+  }
+
+  #idf(term) {
+    const df = this.postings.get(term).size;
+    return Math.log(1 + (this.docs.length - df + 0.5) / (df + 0.5));
+  }
+
+  #score(term, id) {
+    const tf = this.postings.get(term).get(id);
+    let weighted = 0;
+
+    for (const [field, boost] of Object.entries(FIELDS)) {
+      if (tf[field]) {
+        const norm =
+          1 - B + (B * this.lengths[id][field]) / this.avgLengths[field];
+        weighted += (boost * tf[field]) / norm;
+      }
+    }
+
+    return (this.#idf(term) * weighted * (K1 + 1)) / (K1 + weighted);
+  }
+
+  /**
+   * @param {string} query Free text typed by the reader
+   * @param {Object} options
+   * @param {number} options.limit Maximum number of results
+   * @param {(doc: Object) => boolean} options.filter Restricts the results
+   *        to the posts accepted by the predicate
+   * @returns {{ doc: Object, score: number, exact: number, terms: Set<string> }[]}
+   *          Matches ranked by the number of query words they contain exactly
+   *          or by stem, then by score, with the index terms that hit.
+   *          Without query words, every post accepted by `filter` in index order.
+   */
+  search(query, { limit = 10, filter = null } = {}) {
+    const accepted = (id) => filter === null || filter(this.docs[id]);
+    let tokens = tokenize(query);
+    const meaningful = tokens.filter(
+      (token) => !this.analyzer.isStopword(token)
+    );
+
+    if (meaningful.length > 0) {
+      tokens = meaningful;
+    }
+
+    if (tokens.length === 0) {
+      if (filter === null) {
+        return [];
+      }
+
+      return this.docs
+        .filter(filter)
+        .slice(0, limit)
+        .map((doc) => ({ doc, score: 0, exact: 0, terms: new Set() }));
+    }
+
+    /** @type {Map<number, { score: number, hits: number, exact: number, terms: Set<string> }>} */
+    const results = new Map();
+
+    for (const token of tokens) {
+      const best = new Map();
+
+      for (const [term, weight] of this.expand(token)) {
+        // a rare word starting like the query must not outrank the word itself
+        const exact = weight === WEIGHT_EXACT;
+
+        for (const id of this.postings.get(term).keys()) {
+          if (!accepted(id)) {
+            continue;
+          }
+
+          const score = weight * this.#score(term, id);
+          const current = best.get(id);
+
+          if (
+            current === undefined ||
+            (exact && !current.exact) ||
+            (exact === current.exact && current.score < score)
+          ) {
+            best.set(id, { score, term, exact });
+          }
+        }
+      }
+
+      for (const [id, { score, term, exact }] of best) {
+        if (!results.has(id)) {
+          results.set(id, { score: 0, hits: 0, exact: 0, terms: new Set() });
+        }
+
+        const result = results.get(id);
+        result.score += score;
+        result.hits++;
+        result.exact += exact ? 1 : 0;
+        result.terms.add(term);
+      }
+    }
+
+    return [...results]
+      .map(([id, { score, hits, exact, terms }]) => ({
+        doc: this.docs[id],
+        // favor the posts matching every word of the query
+        score: (score * hits) / tokens.length,
+        exact,
+        terms
+      }))
+      .sort((a, b) => b.exact - a.exact || b.score - a.score)
+      .slice(0, limit);
+  }
+}
@@ -0,0 +1,50 @@
+/**
+ * Facet counts of a set of search results.
+ */
+
+import { fold } from './analyzer';
+import { splitList } from './query';
+
+const MAX_VALUES = 6;
+
+/**
+ * Counts the value, grouping the spellings that only differ in case or accents.
+ */
+function increase(counter, value) {
+  const key = fold(value);
+
+  if (!counter.has(key)) {
+    counter.set(key, { value, count: 0 });
+  }
+
+  counter.get(key).count++;
+}
+
+function top(counter) {
+  return [...counter.values()]
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+    .slice(0, MAX_VALUES);
+}
+
+/**
+ * @param {Object[]} docs Matched entries of `search.json`
+ * @returns {Object<string, { value: string, count: number }[]>} The most
+ *          frequent values per filter key, keyed like the query filters
+ */
+export function countFacets(docs) {
+  const categories = new Map();
+  const tags = new Map();
+  const years = new Map();
+
+  for (const doc of docs) {
+    splitList(doc.categories).forEach((value) => increase(categories, value));
+    splitList(doc.tags).forEach((value) => increase(tags, value));
+    increase(years, String(doc.date).substring(0, 4));
+  }
+
+  return {
+    category: top(categories),
+    tag: top(tags),
+    year: top(years)
+  };
+}
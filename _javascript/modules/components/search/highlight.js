@@ -0,0 +1,74 @@
+/**
+ * Marks the matched words of a search result.
+ */
+
+import { fold } from './analyzer';
+
+const WORD = /[A-Za-z0-9\u00c0-\u024f]+/g;
+const SNIPPET_LENGTH = 200;
+const SNIPPET_LEAD = 60;
+
+const ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;'
+};
+
+export function escapeHtml(text) {
+  return text.replace(/[&<>"]/g, (char) => ENTITIES[char]);
+}
+
+/**
+ * Wraps the words of `text` whose index term is in `terms` with `<mark>`.
+ *
+ * @param {string} text Plain text
+ * @param {Set<string>} terms Index terms that matched the query
+ * @param {import('./analyzer').Analyzer} analyzer Analyzer used by the index
+ * @param {Object} options
+ * @param {boolean} options.snippet Crop the text around the first match
+ * @returns {string} HTML
+ */
+export function highlight(text, terms, analyzer, { snippet = false } = {}) {
+  const ranges = [];
+
+  for (const match of text.matchAll(WORD)) {
+    const term = analyzer.stem(fold(match[0]));
+
+    if (terms.has(term)) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+
+  let start = 0;
+  let end = text.length;
+
+  if (snippet && text.length > SNIPPET_LENGTH) {
+    if (ranges.length > 0) {
+      start = Math.max(0, ranges[0][0] - SNIPPET_LEAD);
+      start = start > 0 ? text.indexOf(' ', start) + 1 || start : 0;
+    }
+    end = Math.min(text.length, start + SNIPPET_LENGTH);
+  }
+
+  let html = start > 0 ? '… ' : '';
+  let cursor = start;
+
+  for (const [from, to] of ranges) {
+    if (from < start || to > end) {
+      continue;
+    }
+
+    html += escapeHtml(text.slice(cursor, from));
+    html += `<mark>${escapeHtml(text.slice(from, to))}</mark>`;
+    cursor = to;
+  }
+
+  html += escapeHtml(text.slice(cursor, end));
+
+  if (end < text.length) {
+    html += ' …';
+  }
+
+  return html;
+}
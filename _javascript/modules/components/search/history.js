@@ -0,0 +1,34 @@
+/**
+ * Recent searches, kept in the local storage of the browser.
+ */
+
+import { LocalStorage } from '../storage';
+
+const KEY = 'search-history';
+const MAX_ITEMS = 8;
+
+export class SearchHistory {
+  /**
+   * @returns {string[]} Queries, the most recent first
+   */
+  static get items() {
+    const items = LocalStorage.getJSON(KEY);
+    return Array.isArray(items) ? items : [];
+  }
+
+  static add(query) {
+    query = query.trim();
+
+    if (query === '') {
+      return;
+    }
+
+    const items = this.items.filter((item) => item !== query);
+    items.unshift(query);
+    LocalStorage.setJSON(KEY, items.slice(0, MAX_ITEMS));
+  }
+
+  static clear() {
+    LocalStorage.remove(KEY);
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * Loads the search index of the page language, or of the language a `lang:`
+ * filter asks for, as each shard only holds the posts of one language.
+ *
+ * Prefers the shard prebuilt by `search-index.js`, which covers the full post
+ * bodies, and falls back to indexing the Liquid-rendered `search.json` when
+ * the shard is missing (e.g. `jekyll serve` without `npm run build`) or the
+ * browser cannot decompress it.
+ */
+
+import { fold } from './analyzer';
+import { SearchEngine } from './engine';
+
+const GZIP_MAGIC = [0x1f, 0x8b];
+
+const template = document.getElementById('search-result-template');
+const lang = document.documentElement.getAttribute('lang');
+
+const JSON_KEY = 'json';
+
+/** @type {Map<string, Promise<SearchEngine>>} shard (or `JSON_KEY`) -> engine */
+const engines = new Map();
+
+function decode(buffer) {
+  const bytes = new Uint8Array(buffer);
+
+  // The server may have already decoded it through `Content-Encoding`
+  if (bytes[0] !== GZIP_MAGIC[0] || bytes[1] !== GZIP_MAGIC[1]) {
+    return JSON.parse(new TextDecoder().decode(bytes));
+  }
+
+  const stream = new Blob([bytes])
+    .stream()
+    .pipeThrough(new DecompressionStream('gzip'));
+
+  return new Response(stream).json();
+}
+
+function loadShard(shard) {
+  if (typeof DecompressionStream === 'undefined') {
+    return Promise.reject(new Error('DecompressionStream is not supported'));
+  }
+
+  return fetch(`${template.dataset.index}/${shard}.json.gz`)
+    .then((response) => {
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+      return response.arrayBuffer();
+    })
+    .then(decode)
+    .then((data) => SearchEngine.fromJSON(data));
+}
+
+function loadJson() {
+  return fetch(template.dataset.json)
+    .then((response) => {
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+      return response.json();
+    })
+    .then((docs) => new SearchEngine(docs, { lang }));
+}
+
+/**
+ * @param {{ key: string, value: string }[]} filters
+ * @returns {string} The language of the `lang` filter, else the one of the page
+ */
+function shardOf(filters) {
+  const filter = filters.find(({ key }) => key === 'lang');
+  const shard = filter === undefined ? '' : fold(filter.value).split('-')[0];
+
+  // wait for a full language code while the reader is typing it
+  return /^[a-z]{2}$/.test(shard) ? shard : lang.split('-')[0];
+}
+
+/**
+ * Keeps the engine being loaded, forgetting it if it fails so that the next
+ * call tries again.
+ */
+function cache(key, load) {
+  if (!engines.has(key)) {
+    engines.set(
+      key,
+      load().catch((error) => {
+        engines.delete(key);
+        throw error;
+      })
+    );
+  }
+
+  return engines.get(key);
+}
+
+/**
+ * Downloads and builds the index holding the posts the filters can match,
+ * on first use.
+ * @param {{ key: string, value: string }[]} filters Filters of the query
+ * @returns {Promise<SearchEngine>}
+ */
+export function loadSearchEngine(filters = []) {
+  const shard = shardOf(filters);
+
+  // `search.json` holds the posts of every language
+  return cache(shard, () =>
+    loadShard(shard).catch(() => cache(JSON_KEY, loadJson))
+  );
+}
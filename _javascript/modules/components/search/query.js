@@ -0,0 +1,112 @@
+/**
+ * Structured search queries.
+ *
+ * Besides free text, a query accepts `key:value` filters, quoting the value
+ * when it has spaces, e.g. `goroutines tag:golang series:"LLM do Zero em Go"`.
+ *
+ * Supported keys:
+ *   tag, category, series  exact match (case and accent insensitive)
+ *   lang                   language prefix, `lang:pt` matches `pt-BR`
+ *   year                   e.g. `year:2025`
+ *   before, after          `YYYY`, `YYYY-MM` or `YYYY-MM-DD`; `before` excludes
+ *                          the given period, `after` includes it
+ */
+
+import { fold } from './analyzer';
+
+const FILTER = /(^|\s)(\w+):(?:"([^"]*)"?|(\S+))/g;
+const PERIOD = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+
+/**
+ * Splits a `search.json` list field, e.g. "Go, Performance".
+ * @param {string} value
+ * @returns {string[]}
+ */
+export function splitList(value) {
+  return value ? value.split(', ') : [];
+}
+
+function postDate(doc) {
+  return String(doc.date).substring(0, 10);
+}
+
+const MATCHERS = {
+  tag: (doc, value) => splitList(doc.tags).some((tag) => fold(tag) === value),
+  category: (doc, value) =>
+    splitList(doc.categories).some((category) => fold(category) === value),
+  series: (doc, value) => fold(doc.series || '') === value,
+  lang: (doc, value) => fold(doc.lang || '').startsWith(value),
+  year: (doc, value) => postDate(doc).startsWith(value),
+  before: (doc, value) => postDate(doc) < value,
+  after: (doc, value) => postDate(doc) >= value
+};
+
+const DATE_KEYS = ['year', 'before', 'after'];
+
+function isValid(key, value) {
+  if (!(key in MATCHERS) || value === '') {
+    return false;
+  }
+
+  return !DATE_KEYS.includes(key) || PERIOD.test(value);
+}
+
+/**
+ * @param {string} input Raw text of the search input
+ * @returns {{ text: string, filters: { key: string, value: string }[] }}
+ */
+export function parseQuery(input) {
+  const filters = [];
+
+  const text = input
+    .replace(FILTER, (match, space, rawKey, quoted, bare) => {
+      const key = rawKey.toLowerCase();
+      const value = (quoted !== undefined ? quoted : bare).trim();
+
+      if (!isValid(key, value)) {
+        return match;
+      }
+
+      filters.push({ key, value });
+      return space;
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return { text, filters };
+}
+
+/**
+ * Inverse of `parseQuery`.
+ * @param {{ text: string, filters: { key: string, value: string }[] }} query
+ * @returns {string}
+ */
+export function stringifyQuery({ text, filters }) {
+  const parts = filters.map(({ key, value }) =>
+    /\s/.test(value) ? `${key}:"${value}"` : `${key}:${value}`
+  );
+
+  if (text !== '') {
+    parts.unshift(text);
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * @param {{ key: string, value: string }[]} filters
+ * @returns {((doc: Object) => boolean) | null} Predicate accepting the posts
+ *          matching every filter, or `null` when there is nothing to filter
+ */
+export function createFilter(filters) {
+  if (filters.length === 0) {
+    return null;
+  }
+
+  const folded = filters.map(({ key, value }) => ({
+    match: MATCHERS[key],
+    value: DATE_KEYS.includes(key) ? value : fold(value)
+  }));
+
+  return (doc) => folded.every(({ match, value }) => match(doc, value));
+}
@@ -0,0 +1,129 @@
+/**
+ * HTML of the search results and of the facet chips.
+ */
+
+import { fold } from './analyzer';
+import { escapeHtml, highlight } from './highlight';
+
+const resultTemplate = document.getElementById('search-result-template');
+
+const FACET_ICONS = {
+  category: 'far fa-folder',
+  tag: 'fa fa-tag',
+  year: 'far fa-calendar',
+  series: 'fas fa-list-ol',
+  lang: 'fas fa-globe'
+};
+
+function renderMeta(icon, value, clzss = '') {
+  if (value === '') {
+    return '';
+  }
+
+  return `<div class="${clzss}"><i class="${icon} fa-fw"></i>${escapeHtml(value)}</div>`;
+}
+
+/**
+ * Fills the placeholders of `#search-result-template`.
+ * @param {{ doc: Object, terms: Set<string> }} match
+ * @param {import('./analyzer').Analyzer} analyzer
+ * @returns {string}
+ */
+export function renderResult({ doc, terms }, analyzer) {
+  const fields = {
+    url: escapeHtml(doc.url),
+    title: highlight(doc.title, terms, analyzer),
+    categories: renderMeta('far fa-folder', doc.categories, 'me-sm-4'),
+    tags: renderMeta('fa fa-tag', doc.tags),
+    content: highlight(doc.content, terms, analyzer, { snippet: true })
+  };
+
+  return resultTemplate.innerHTML.replace(/\{(\w+)\}/g, (placeholder, prop) =>
+    prop in fields ? fields[prop] : placeholder
+  );
+}
+
+function renderChip(key, value, inner, clzss = '') {
+  return (
+    `<button type="button" class="facet-chip ${clzss}" ` +
+    `data-key="${key}" data-value="${escapeHtml(value)}">${inner}</button>`
+  );
+}
+
+/**
+ * @param {{ key: string, value: string }[]} filters Filters of the query
+ * @param {Object<string, { value: string, count: number }[]>} facets
+ *        Facet counts of the matches
+ * @param {number} total Number of matches
+ * @returns {string} Removable chips of the active filters, followed by the
+ *          facet values that would narrow the results
+ */
+export function renderFacets(filters, facets, total) {
+  const active = filters.map(({ key, value }) =>
+    renderChip(
+      key,
+      value,
+      `${key}:${escapeHtml(value)}<i class="fas fa-xmark fa-fw ms-1"></i>`,
+      'active'
+    )
+  );
+
+  const isActive = (key, value) =>
+    filters.some(
+      (filter) => filter.key === key && fold(filter.value) === fold(value)
+    );
+
+  const options = Object.entries(facets).flatMap(([key, values]) =>
+    values
+      .filter(({ value, count }) => count < total && !isActive(key, value))
+      .map(({ value, count }) =>
+        renderChip(
+          key,
+          value,
+          `<i class="${FACET_ICONS[key]} fa-fw"></i>${escapeHtml(value)}` +
+            `<span class="facet-count">${count}</span>`
+        )
+      )
+  );
+
+  return active.concat(options).join('');
+}
+
+/**
+ * @param {string[]} items Recent searches
+ * @returns {string}
+ */
+export function renderHistory(items) {
+  return items
+    .map(
+      (query) =>
+        `<button type="button" class="history-item" data-query="${escapeHtml(query)}">` +
+        `<i class="fas fa-clock-rotate-left fa-fw"></i>${escapeHtml(query)}</button>`
+    )
+    .join('');
+}
+
+/**
+ * @param {string[]} completions Completions of the word being typed
+ * @param {string | null} correction Corrected query when nothing matched
+ * @param {string} template Localized "did you mean" text with a `:QUERY`
+ *        placeholder
+ * @returns {string}
+ */
+export function renderSuggestions(completions, correction, template) {
+  if (correction !== null) {
+    const link =
+      `<button type="button" class="correction" data-query="${escapeHtml(correction)}">` +
+      `${escapeHtml(correction)}</button>`;
+
+    return `<p>${escapeHtml(template).replace(':QUERY', link)}</p>`;
+  }
+
+  return completions
+    .map(
+      (word) =>
+        `<button type="button" class="completion" data-completion="${escapeHtml(word)}">` +
+        `<i class="fas fa-magnifying-glass fa-fw"></i>${escapeHtml(word)}</button>`
+    )
+    .join('');
+}
@@ -0,0 +1,93 @@
+/**
+ * Query completions from the indexed titles and tags, and spelling
+ * corrections from the index vocabulary.
+ */
+
+import { fold, tokenize } from './analyzer';
+
+const MIN_PREFIX = 2;
+const MIN_WORD = 3;
+
+/** @type {WeakMap<import('./engine').SearchEngine, Map<string, Object>>} */
+const dictionaries = new WeakMap();
+
+/**
+ * Words of the titles and whole tags, keyed by their folded form.
+ */
+function dictionary(engine) {
+  if (!dictionaries.has(engine)) {
+    const entries = new Map();
+    const add = (text) => {
+      const key = fold(text);
+
+      if (!entries.has(key)) {
+        entries.set(key, { text: text.toLowerCase(), count: 0 });
+      }
+
+      entries.get(key).count++;
+    };
+
+    for (const doc of engine.docs) {
+      doc.title
+        .split(/[\s:,.!?()"]+/)
+        .filter((word) => word.length >= MIN_WORD)
+        .forEach(add);
+
+      (doc.tags ? doc.tags.split(', ') : []).forEach(add);
+    }
+
+    dictionaries.set(engine, entries);
+  }
+
+  return dictionaries.get(engine);
+}
+
+/**
+ * @param {import('./engine').SearchEngine} engine
+ * @param {string} partial The word being typed
+ * @param {number} limit
+ * @returns {string[]} Completions of the word, the most frequent first
+ */
+export function complete(engine, partial, limit = 5) {
+  const prefix = fold(partial);
+
+  if (prefix.length < MIN_PREFIX) {
+    return [];
+  }
+
+  return [...dictionary(engine)]
+    .filter(([key]) => key.startsWith(prefix) && key !== prefix)
+    .sort(([, a], [, b]) => b.count - a.count || a.text.localeCompare(b.text))
+    .slice(0, limit)
+    .map(([, { text }]) => text);
+}
+
+/**
+ * Replaces the words of the text that match nothing in the index with the
+ * closest vocabulary words.
+ *
+ * @param {import('./engine').SearchEngine} engine
+ * @param {string} text Free text of the query
+ * @returns {string | null} The corrected text, or `null` if there is no
+ *          better spelling
+ */
+export function correct(engine, text) {
+  let changed = false;
+
+  const words = tokenize(text).map((token) => {
+    if (engine.analyzer.isStopword(token) || engine.expand(token).size > 0) {
+      return token;
+    }
+
+    const closest = engine.closestWord(token);
+
+    if (closest === null) {
+      return token;
+    }
+
+    changed = true;
+    return closest;
+  });
+
+  return changed ? words.join(' ') : null;
+}
@@ -0,0 +1,165 @@
+/**
+ * Marks a post of a series as read once the reader has scrolled through most
+ * of it and spent some time on it, then shows the completion of each series
+ * in the post panel and on the playlists page.
+ *
+ * The playlists page can also export the progress as JSON and import it in
+ * another browser.
+ */
+
+import { downloadBlob } from './download';
+import { scrollPercent } from './reading/scroll';
+import { SeriesProgress } from './series/progress';
+
+const READ_PERCENT = 80;
+const READ_TIME = 30 * 1000;
+const CHECK_INTERVAL = 5000;
+
+const READ = 'series-read';
+const CURRENT = 'series-current';
+
+const seriesPanel = document.getElementById('post-series-wrapper');
+const btnExport = document.getElementById('series-export');
+const inputImport = document.getElementById('series-import');
+const importStatus = document.getElementById('series-import-status');
+
+const EXPORT_NAME = 'series-progress.json';
+
+function showProgress(container) {
+  const panel = container.querySelector('.series-progress');
+
+  if (panel === null) {
+    return;
+  }
+
+  const items = [...container.querySelectorAll('[data-url]')];
+  let read = 0;
+  let next = null;
+
+  items.forEach((item) => {
+    const isRead = SeriesProgress.isRead(item.dataset.url);
+    const isCurrent = item.classList.contains(CURRENT);
+
+    item.classList.toggle(READ, isRead && !isCurrent);
+
+    if (isRead) {
+      read++;
+    } else if (next === null && !isCurrent) {
+      next = item;
+    }
+  });
+
+  const percent = items.length > 0 ? (read / items.length) * 100 : 0;
+  panel.querySelector('.progress-bar').style.width = `${percent}%`;
+  panel.querySelector('.series-progress-text').textContent =
+    panel.dataset.template
+      .replace(':READ', read)
+      .replace(':TOTAL', items.length);
+
+  const link = panel.querySelector('.series-next-unread');
+  link.classList.toggle('d-none', next === null);
+
+  if (next !== null) {
+    link.href = next.querySelector('a').href;
+  }
+
+  panel.classList.remove('d-none');
+}
+
+function showAll() {
+  document
+    .querySelectorAll('#post-series-wrapper, .playlist-card')
+    .forEach(showProgress);
+}
+
+/**
+ * Counts the time the page has been visible, and marks the post as read when
+ * both thresholds are met.
+ */
+function trackReading() {
+  const url = window.location.pathname;
+
+  if (SeriesProgress.isRead(url)) {
+    return;
+  }
+
+  let elapsed = 0;
+  let visibleSince = document.hidden ? null : Date.now();
+  let timer = null;
+
+  const visibleTime = () =>
+    elapsed + (visibleSince === null ? 0 : Date.now() - visibleSince);
+
+  const onVisibility = () => {
+    if (document.hidden) {
+      elapsed = visibleTime();
+      visibleSince = null;
+    } else {
+      visibleSince = Date.now();
+    }
+  };
+
+  const check = () => {
+    if (visibleTime() < READ_TIME || scrollPercent() < READ_PERCENT) {
+      return;
+    }
+
+    clearInterval(timer);
+    window.removeEventListener('scroll', check);
+    document.removeEventListener('visibilitychange', onVisibility);
+
+    SeriesProgress.markRead(url);
+    showProgress(seriesPanel);
+  };
+
+  document.addEventListener('visibilitychange', onVisibility);
+  window.addEventListener('scroll', check, { passive: true });
+  timer = setInterval(check, CHECK_INTERVAL);
+}
+
+function exportProgress() {
+  downloadBlob(
+    new Blob([SeriesProgress.export()], { type: 'application/json' }),
+    EXPORT_NAME
+  );
+}
+
+function importProgress() {
+  const [file] = inputImport.files;
+
+  if (file === undefined) {
+    return;
+  }
+
+  file
+    .text()
+    .then((json) => {
+      const added = SeriesProgress.import(json);
+      importStatus.textContent = importStatus.dataset.imported.replace(
+        ':NUM',
+        added
+      );
+      showAll();
+    })
+    .catch(() => {
+      importStatus.textContent = importStatus.dataset.failed;
+    })
+    .finally(() => {
+      inputImport.value = '';
+    });
+}
+
+export function initSeriesProgress() {
+  SeriesProgress.dropLegacy();
+
+  if (seriesPanel !== null) {
+    trackReading();
+  }
+
+  showAll();
+
+  if (btnExport !== null) {
+    btnExport.addEventListener('click', exportProgress);
+    inputImport.addEventListener('change', importProgress);
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * The posts the reader has read, kept in the local storage of the browser and
+ * portable as JSON.
+ */
+
+import { LocalStorage } from '../storage';
+
+const KEY = 'series-progress';
+const LEGACY_KEY = 'hc_read_posts';
+
+const TYPE = 'series-progress';
+const VERSION = 1;
+
+export class SeriesProgress {
+  /**
+   * @returns {Object<string, number>} When each post was read, by URL
+   */
+  static get #read() {
+    const data = LocalStorage.getJSON(KEY);
+    return data && typeof data.read === 'object' ? data.read : {};
+  }
+
+  static #save(read) {
+    LocalStorage.setJSON(KEY, { version: VERSION, read });
+  }
+
+  static isRead(url) {
+    return url in this.#read;
+  }
+
+  static markRead(url) {
+    const read = this.#read;
+
+    if (!(url in read)) {
+      read[url] = Date.now();
+      this.#save(read);
+    }
+  }
+
+  /**
+   * @returns {string} JSON of the progress, for `import()` in another browser
+   */
+  static export() {
+    return JSON.stringify(
+      { type: TYPE, version: VERSION, read: this.#read },
+      null,
+      2
+    );
+  }
+
+  /**
+   * Merges an export into the progress of this browser.
+   * @param {string} json Content of an export file
+   * @returns {number} Number of posts newly marked as read
+   * @throws {SyntaxError} If the content is not JSON
+   * @throws {TypeError} If the JSON is not a progress export
+   */
+  static import(json) {
+    const data = JSON.parse(json);
+
+    if (
+      data === null ||
+      data.type !== TYPE ||
+      typeof data.read !== 'object' ||
+      data.read === null ||
+      Object.values(data.read).some((time) => typeof time !== 'number')
+    ) {
+      throw new TypeError('Not a series progress export');
+    }
+
+    const read = this.#read;
+    let added = 0;
+
+    Object.entries(data.read).forEach(([url, time]) => {
+      if (!(url in read)) {
+        added++;
+      }
+
+      read[url] = Math.max(read[url] || 0, time);
+    });
+
+    this.#save(read);
+    return added;
+  }
+
+  /**
+   * Drops the marks of the old panel script, which counted a post as read
+   * as soon as it was opened.
+   */
+  static dropLegacy() {
+    LocalStorage.remove(LEGACY_KEY);
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * The local storage of the browser, which throws when it is disabled or full.
+ * The values then only last for the page.
+ */
+
+export class LocalStorage {
+  /**
+   * @returns {string | null}
+   */
+  static get(key) {
+    try {
+      return localStorage.getItem(key);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * @returns {*} The parsed value, or `null` if missing or malformed
+   */
+  static getJSON(key) {
+    try {
+      return JSON.parse(localStorage.getItem(key));
+    } catch {
+      return null;
+    }
+  }
+
+  static set(key, value) {
+    try {
+      localStorage.setItem(key, value);
+    } catch {
+      // storage disabled or full
+    }
+  }
+
+  static setJSON(key, value) {
+    this.set(key, JSON.stringify(value));
+  }
+
+  static remove(key) {
+    try {
+      localStorage.removeItem(key);
+    } catch {
+      // storage disabled
+    }
+  }
+}
@@ -1,8 +1,22 @@
 import { TocMobile as mobile } from './toc/toc-mobile';
 import { TocDesktop as desktop } from './toc/toc-desktop';
+import { TocDepth as depth } from './toc/toc-depth';
+import { TocProgress as progress } from './toc/toc-progress';
 
 const desktopMode = matchMedia('(min-width: 1200px)');
 
+// Without a choice of the reader, the desktop TOC only expands the section being read
+const DESKTOP_DEPTH = 2;
+
+function defaultDepth() {
+  return desktopMode.matches ? DESKTOP_DEPTH : mobile.options.collapseDepth;
+}
+
+function setDepth(level) {
+  desktop.options.collapseDepth = level;
+  mobile.options.collapseDepth = level;
+}
+
 function refresh(e) {
   if (e.matches) {
     if (mobile.popupOpened) {
@@ -13,6 +27,15 @@ function refresh(e) {
   } else {
     mobile.refresh();
   }
+
+  progress.decorate();
+  depth.mark(depth.value || defaultDepth());
+}
+
+function changeDepth(level) {
+  setDepth(level);
+  (desktopMode.matches ? desktop : mobile).refresh();
+  progress.decorate();
 }
 
 function init() {
@@ -20,6 +43,12 @@ function init() {
     return;
   }
 
+  depth.bind(defaultDepth(), changeDepth);
+
+  if (depth.value !== null) {
+    setDepth(depth.value);
+  }
+
   // Avoid create multiple instances of Tocbot. Ref: <https://github.com/tscanlin/tocbot/issues/203>
   if (desktopMode.matches) {
     desktop.init();
@@ -27,6 +56,9 @@ function init() {
     mobile.init();
   }
 
+  progress.init(desktop.options);
+  progress.decorate();
+
   const $tocWrapper = document.getElementById('toc-wrapper');
   $tocWrapper.classList.remove('invisible');
 
@@ -0,0 +1,52 @@
+/**
+ * The heading level down to which the TOC is expanded, chosen with the
+ * `.toc-depth` buttons and kept in the local storage of the browser.
+ */
+
+import { LocalStorage } from '../storage';
+
+const KEY = 'toc-depth';
+const DEPTHS = [2, 3, 4];
+
+export class TocDepth {
+  /**
+   * @returns {number | null} The chosen level, or `null` for the default one
+   */
+  static get value() {
+    const depth = Number(LocalStorage.get(KEY));
+    return DEPTHS.includes(depth) ? depth : null;
+  }
+
+  /**
+   * @param {number} fallback Level of the pressed button when none was chosen
+   * @param {(depth: number) => void} onChange
+   */
+  static bind(fallback, onChange) {
+    document.querySelectorAll('.toc-depth').forEach((group) => {
+      group.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-depth]');
+
+        if (button === null) {
+          return;
+        }
+
+        const depth = Number(button.dataset.depth);
+
+        LocalStorage.set(KEY, depth);
+        this.mark(depth);
+        onChange(depth);
+      });
+    });
+
+    this.mark(this.value || fallback);
+  }
+
+  static mark(depth) {
+    document.querySelectorAll('.toc-depth [data-depth]').forEach((button) => {
+      button.setAttribute(
+        'aria-pressed',
+        String(Number(button.dataset.depth) === depth)
+      );
+    });
+  }
+}
@@ -0,0 +1,143 @@
+/**
+ * Reading time and reading progress of the sections listed in the TOC.
+ *
+ * Each TOC entry shows the minutes its section takes to read and a ring of how
+ * much of it has been scrolled into view, and `#toc-remaining` sums up the
+ * minutes left in the post.
+ */
+
+const WPM = 200; // the reading speed of `read-time.html`
+const READ = 'read';
+
+const $remaining = document.getElementById('toc-remaining');
+
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+export class TocProgress {
+  static #content = null;
+  static #sections = new Map();
+  static #ticking = false;
+
+  /**
+   * @param {Object} options The tocbot options selecting the headings
+   */
+  static init(options) {
+    this.#content = document.querySelector(options.contentSelector);
+
+    const headings = [
+      ...this.#content.querySelectorAll(options.headingSelector)
+    ].filter((heading) => !heading.matches(options.ignoreSelector));
+
+    headings.forEach((heading, i) => {
+      const range = document.createRange();
+      const next = headings[i + 1] || null;
+
+      range.selectNodeContents(this.#content);
+      range.setStartBefore(heading);
+
+      if (next !== null) {
+        range.setEndBefore(next);
+      }
+
+      this.#sections.set(heading.id, {
+        heading,
+        next,
+        words: countWords(range.toString()),
+        progress: 0
+      });
+    });
+
+    window.addEventListener('scroll', () => this.#schedule(), {
+      passive: true
+    });
+    window.addEventListener('resize', () => this.#schedule());
+
+    this.#update();
+  }
+
+  /**
+   * Adds the reading time and progress to the entries rendered by tocbot.
+   */
+  static decorate() {
+    const template = document.querySelector('main>article').dataset.tocTime;
+
+    document.querySelectorAll('.toc-link').forEach((link) => {
+      const id = link.getAttribute('href').split('#').pop();
+      const section = this.#sections.get(id);
+
+      if (section === undefined || link.querySelector('.toc-meta') !== null) {
+        return;
+      }
+
+      const text = document.createElement('span');
+      const meta = document.createElement('span');
+      const time = document.createElement('span');
+      const ring = document.createElement('span');
+
+      text.className = 'toc-text';
+      text.append(...link.childNodes);
+      meta.className = 'toc-meta';
+      time.textContent = template.replace(
+        ':MIN',
+        Math.max(1, Math.round(section.words / WPM))
+      );
+      ring.className = 'section-progress';
+      ring.setAttribute('aria-hidden', 'true');
+      meta.append(time, ring);
+      link.append(text, meta);
+    });
+
+    this.#render();
+  }
+
+  static #schedule() {
+    if (!this.#ticking) {
+      this.#ticking = true;
+      requestAnimationFrame(() => this.#update());
+    }
+  }
+
+  /**
+   * A section counts as read as far as it has been shown in the viewport.
+   */
+  static #update() {
+    const contentBottom = this.#content.getBoundingClientRect().bottom;
+    let words = 0;
+
+    this.#ticking = false;
+
+    this.#sections.forEach((section) => {
+      const top = section.heading.getBoundingClientRect().top;
+      const bottom =
+        section.next === null
+          ? contentBottom
+          : section.next.getBoundingClientRect().top;
+      const seen = (window.innerHeight - top) / Math.max(bottom - top, 1);
+
+      section.progress = Math.min(Math.max(seen, 0), 1);
+      words += section.words * (1 - section.progress);
+    });
+
+    if ($remaining !== null) {
+      const minutes = Math.ceil(words / WPM);
+      $remaining.textContent =
+        minutes > 0 ? $remaining.dataset.template.replace(':MIN', minutes) : '';
+    }
+
+    this.#render();
+  }
+
+  static #render() {
+    document.querySelectorAll('.toc-link').forEach((link) => {
+      const id = link.getAttribute('href').split('#').pop();
+      const section = this.#sections.get(id);
+
+      if (section !== undefined) {
+        link.style.setProperty('--section-progress', section.progress);
+        link.classList.toggle(READ, section.progress === 1);
+      }
+    });
+  }
+}
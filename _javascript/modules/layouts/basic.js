@@ -1,6 +1,12 @@
-import { back2top, loadTooptip, modeWatcher } from '../components';
+import {
+  back2top,
+  loadTooptip,
+  modeWatcher,
+  routeLanguage
+} from '../components';
 
 export function basic() {
+  routeLanguage();
   modeWatcher();
   back2top();
   loadTooptip();
@@ -3,13 +3,21 @@ import {
   loadImg,
   imgPopup,
   initClipboard,
-  loadMermaid
+  initCodeAnnotations,
+  initCodeTabs,
+  initCodeToolbar,
+  loadMermaid,
+  initOfflineReading
 } from './modules/components';
 
 loadImg();
 imgPopup();
 initSidebar();
 initTopbar();
+initCodeToolbar();
+initCodeAnnotations();
+initCodeTabs();
 initClipboard();
 loadMermaid();
+initOfflineReading();
 basic();
@@ -5,11 +5,21 @@ import {
   imgPopup,
   initLocaleDatetime,
   initClipboard,
+  initCodeAnnotations,
+  initCodeTabs,
+  initCodeToolbar,
   initToc,
-  loadMermaid
+  loadMermaid,
+  initOfflineReading,
+  initQuoteShare,
+  initReadingProgress,
+  initSeriesProgress
 } from './modules/components';
 
 loadImg();
+initCodeToolbar();
+initCodeAnnotations();
+initCodeTabs();
 initToc();
 imgPopup();
 initSidebar();
@@ -17,4 +27,8 @@ initLocaleDatetime();
 initClipboard();
 initTopbar();
 loadMermaid();
+initOfflineReading();
+initQuoteShare();
+initReadingProgress();
+initSeriesProgress();
 basic();
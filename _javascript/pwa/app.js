@@ -1,4 +1,26 @@
 import Toast from 'bootstrap/js/src/toast';
+import { formatSize } from '../modules/components/format-size';
+import { watchConnection } from './offline';
+
+/**
+ * Shows what the installation of the waiting worker downloaded.
+ */
+function showUpdateSize(worker, element) {
+  const channel = new MessageChannel();
+
+  channel.port1.onmessage = ({ data }) => {
+    if (!data.result || data.result.files === 0) {
+      return;
+    }
+
+    element.textContent = element.dataset.template
+      .replace(':FILES', data.result.files)
+      .replace(':SIZE', formatSize(data.result.bytes));
+    element.classList.remove('d-none');
+  };
+
+  worker.postMessage({ type: 'precache:update-size' }, [channel.port2]);
+}
 
 if ('serviceWorker' in navigator) {
   // Get Jekyll config from URL parameters
@@ -10,19 +32,25 @@ if ('serviceWorker' in navigator) {
     const swUrl = `${baseUrl}/sw.min.js`;
     const notification = document.getElementById('notification');
     const btnRefresh = notification.querySelector('.toast-body>button');
+    const updateSize = notification.querySelector('.update-size');
     const popupWindow = Toast.getOrCreateInstance(notification);
 
+    const showUpdate = (registration) => {
+      showUpdateSize(registration.waiting, updateSize);
+      popupWindow.show();
+    };
+
     navigator.serviceWorker.register(swUrl).then((registration) => {
       // Restore the update window that was last manually closed by the user
       if (registration.waiting) {
-        popupWindow.show();
+        showUpdate(registration);
       }
 
       registration.addEventListener('updatefound', () => {
         registration.installing.addEventListener('statechange', () => {
           if (registration.waiting) {
             if (navigator.serviceWorker.controller) {
-              popupWindow.show();
+              showUpdate(registration);
             }
           }
         });
@@ -36,6 +64,8 @@ if ('serviceWorker' in navigator) {
       });
     });
 
+    watchConnection(baseUrl);
+
     let refreshing = false;
 
     // Detect controller change and refresh all the opened tabs
@@ -0,0 +1,164 @@
+/**
+ * Offline awareness of the pages: shows the connection status, marks the
+ * links to the posts missing from the caches while offline, and lists the
+ * saved posts on the offline page.
+ */
+
+import { escapeHtml } from '../modules/components/search/highlight';
+
+const status = document.getElementById('offline-status');
+const postList = document.getElementById('offline-posts');
+const statement = document.getElementById('offline-statement');
+
+// CSS class names
+const UNLOADED = 'd-none';
+const UNAVAILABLE = 'unavailable';
+
+const ONLINE_DELAY = 3000;
+
+let onlineTimer = null;
+let posts = null;
+
+/**
+ * @returns {Promise<Object[]>} Posts of the search index
+ */
+function loadPosts(baseUrl) {
+  if (posts === null) {
+    posts = fetch(`${baseUrl}/assets/js/data/search.json`)
+      .then((response) => response.json())
+      .catch(() => []);
+  }
+
+  return posts;
+}
+
+/**
+ * @returns {Promise<Set<string>>} Paths of the cached same-origin pages
+ */
+function getCachedPaths() {
+  return caches
+    .keys()
+    .then((names) =>
+      Promise.all(
+        names.map((name) => caches.open(name).then((cache) => cache.keys()))
+      )
+    )
+    .then((lists) => {
+      const paths = new Set();
+
+      lists.flat().forEach((request) => {
+        const url = new URL(request.url);
+
+        if (url.origin === location.origin) {
+          paths.add(url.pathname);
+        }
+      });
+
+      return paths;
+    });
+}
+
+function listSavedPosts(posts, cached) {
+  const saved = posts.filter((post) => cached.has(post.url));
+
+  postList.innerHTML =
+    saved.length === 0
+      ? `<li>${escapeHtml(postList.dataset.empty)}</li>`
+      : saved
+          .map(
+            (post) =>
+              `<li><a href="${escapeHtml(post.url)}">${escapeHtml(post.title)}</a></li>`
+          )
+          .join('');
+}
+
+function markLinks(posts, cached, offline) {
+  const postPaths = new Set(posts.map((post) => post.url));
+
+  document.querySelectorAll('a[href]').forEach((link) => {
+    const url = new URL(link.href, location.href);
+    const unavailable =
+      offline &&
+      url.origin === location.origin &&
+      postPaths.has(url.pathname) &&
+      !cached.has(url.pathname);
+
+    link.classList.toggle(UNAVAILABLE, unavailable);
+
+    if (unavailable) {
+      link.setAttribute('aria-disabled', 'true');
+
+      if (!link.hasAttribute('title')) {
+        link.title = status.dataset.unavailable;
+        link.dataset.offlineTitle = '';
+      }
+    } else {
+      link.removeAttribute('aria-disabled');
+
+      if ('offlineTitle' in link.dataset) {
+        link.removeAttribute('title');
+        delete link.dataset.offlineTitle;
+      }
+    }
+  });
+}
+
+function showStatus(offline) {
+  clearTimeout(onlineTimer);
+
+  status.classList.toggle('offline', offline);
+  status.querySelector('i').className = offline
+    ? 'fas fa-fw fa-plug-circle-xmark'
+    : 'fas fa-fw fa-wifi';
+  status.querySelector('span').textContent = offline
+    ? status.dataset.offline
+    : status.dataset.online;
+  status.classList.remove(UNLOADED);
+
+  if (!offline) {
+    onlineTimer = setTimeout(() => {
+      status.classList.add(UNLOADED);
+    }, ONLINE_DELAY);
+  }
+}
+
+/**
+ * @param {string} baseUrl The `baseurl` of the site
+ */
+export function watchConnection(baseUrl) {
+  // Opened through its own link, the page does not replace a missing one
+  if (statement !== null && location.pathname === statement.dataset.url) {
+    statement.classList.add(UNLOADED);
+  }
+
+  if (!('caches' in window)) {
+    return;
+  }
+
+  const update = (changed) => {
+    const offline = !navigator.onLine;
+
+    if (changed || offline) {
+      showStatus(offline);
+    }
+
+    if (!offline && postList === null) {
+      markLinks([], new Set(), false);
+      return;
+    }
+
+    Promise.all([loadPosts(baseUrl), getCachedPaths()]).then(
+      ([posts, cached]) => {
+        markLinks(posts, cached, offline);
+
+        if (postList !== null) {
+          listSavedPosts(posts, cached);
+        }
+      }
+    );
+  };
+
+  window.addEventListener('online', () => update(true));
+  window.addEventListener('offline', () => update(true));
+  update(false);
+}
@@ -1,8 +1,41 @@
-importScripts('./assets/js/data/swconf.js');
+import { BoundedCache } from './sw/bounded-cache';
+import { retainCaches } from './sw/metadata';
+import { Precache } from './sw/precache';
+import { ReadingList } from './sw/reading-list';
+import { strategies } from './sw/strategies';
+
+importScripts(
+  './assets/js/data/swconf.js',
+  './assets/js/data/precache-manifest.js'
+);
 
 const purge = swconf.purge;
 const interceptor = swconf.interceptor;
 
+/* Without the content hashes of `npm run precache`, every resource is
+   downloaded again on installation */
+const precache = purge
+  ? null
+  : new Precache(
+      `${swconf.cachePrefix}-precache-`,
+      precacheManifest || {
+        version: 'dev',
+        entries: swconf.resources.map((url) => ({
+          url,
+          revision: null,
+          size: 0
+        }))
+      }
+    );
+
+/* Runtime caches of the routes, kept across the versions of the site */
+const runtimeCaches = new Map(
+  Object.entries(purge ? {} : swconf.caches).map(([key, limits]) => [
+    key,
+    new BoundedCache(`${swconf.cachePrefix}-${key}`, limits)
+  ])
+);
+
 function verifyUrl(url) {
   const requestUrl = new URL(url);
   const requestPath = requestUrl.pathname;
@@ -25,16 +58,92 @@ function verifyUrl(url) {
   return true;
 }
 
+function matchRoute(route, request, url) {
+  if (route.mode && request.mode !== route.mode) {
+    return false;
+  }
+
+  if (route.destinations && !route.destinations.includes(request.destination)) {
+    return false;
+  }
+
+  if (
+    route.paths &&
+    (url.origin !== self.location.origin ||
+      !route.paths.some((path) => url.pathname.startsWith(path)))
+  ) {
+    return false;
+  }
+
+  if (
+    route.hosts &&
+    !route.hosts.some(
+      (host) => url.hostname === host || url.hostname.endsWith(`.${host}`)
+    )
+  ) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * The first route of `swconf.routes` matching the request, by its mode,
+ * destination (the type of content), path prefix or host.
+ */
+function findRoute(request) {
+  const url = new URL(request.url);
+
+  return (
+    swconf.routes.find((route) => matchRoute(route, request, url)) ||
+    swconf.defaultRoute
+  );
+}
+
+/**
+ * The precached offline page in the language of the browser, or else in the
+ * one of the site.
+ */
+function offlinePage() {
+  const lang = self.navigator.language.split('-')[0];
+  const url =
+    swconf.offlinePages[lang] || swconf.offlinePages[swconf.defaultLang];
+
+  return caches
+    .match(url, { cacheName: precache.cacheName })
+    .then((response) => {
+      if (!response) {
+        throw new TypeError('The offline page is not cached');
+      }
+      return response;
+    });
+}
+
+function isRuntimeCache(name) {
+  return [...runtimeCaches.values()].some((cache) => cache.name === name);
+}
+
+const readingList = purge
+  ? null
+  : new ReadingList(
+      swconf.savedCacheName,
+      (url) => findRoute(new Request(url)).strategy !== 'networkOnly'
+    );
+
+/* Requests of the pages, answered through the port of the message */
+const actions = {
+  'offline:list': () => readingList.list(),
+  'offline:save': ({ item }) => readingList.save(item),
+  'offline:remove': ({ id }) => readingList.remove(id),
+  'precache:update-size': () => precache.updateSize()
+};
+
 self.addEventListener('install', (event) => {
   if (purge) {
     return;
   }
 
-  event.waitUntil(
-    caches.open(swconf.cacheName).then((cache) => {
-      return cache.addAll(swconf.resources);
-    })
-  );
+  event.waitUntil(precache.install());
 });
 
 self.addEventListener('activate', (event) => {
@@ -45,7 +154,11 @@ self.addEventListener('activate', (event) => {
           if (purge) {
             return caches.delete(key);
           } else {
-            if (key !== swconf.cacheName) {
+            if (
+              key !== precache.cacheName &&
+              key !== swconf.savedCacheName &&
+              !isRuntimeCache(key)
+            ) {
               return caches.delete(key);
             }
           }
@@ -53,40 +166,53 @@ self.addEventListener('activate', (event) => {
       );
     })
   );
+
+  const inUse = [...runtimeCaches.values()].map((cache) => cache.name);
+  event.waitUntil(retainCaches(inUse).catch(() => {}));
 });
 
 self.addEventListener('message', (event) => {
   if (event.data === 'SKIP_WAITING') {
     self.skipWaiting();
+    return;
   }
+
+  const action = !purge && event.data && actions[event.data.type];
+
+  if (!action || event.ports.length === 0) {
+    return;
+  }
+
+  const [port] = event.ports;
+
+  event.waitUntil(
+    action(event.data).then(
+      (result) => port.postMessage({ result }),
+      (error) => port.postMessage({ error: error.name })
+    )
+  );
 });
 
 self.addEventListener('fetch', (event) => {
-  if (event.request.headers.has('range')) {
+  const request = event.request;
+
+  if (purge || request.method !== 'GET' || request.headers.has('range')) {
     return;
   }
 
-  event.respondWith(
-    caches.match(event.request).then((response) => {
-      if (response) {
-        return response;
-      }
-
-      return fetch(event.request).then((response) => {
-        const url = event.request.url;
+  const route = findRoute(request);
+  const cache = runtimeCaches.get(route.cache);
 
-        if (purge || event.request.method !== 'GET' || !verifyUrl(url)) {
-          return response;
-        }
+  let response = strategies[route.strategy](request, {
+    cache: cache && verifyUrl(request.url) ? cache : null,
+    stores: [precache.cacheName, swconf.savedCacheName],
+    timeout: route.timeout,
+    waitUntil: (promise) => event.waitUntil(promise)
+  });
 
-        // See: <https://developers.google.com/web/fundamentals/primers/service-workers#cache_and_return_requests>
-        let responseToCache = response.clone();
+  if (request.mode === 'navigate') {
+    response = response.catch(offlinePage);
+  }
 
-        caches.open(swconf.cacheName).then((cache) => {
-          cache.put(event.request, responseToCache);
-        });
-        return response;
-      });
-    })
-  );
+  event.respondWith(response);
 });
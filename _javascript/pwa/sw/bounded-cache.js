@@ -0,0 +1,160 @@
+/**
+ * A runtime cache limited in entries and age, evicting the least recently
+ * served responses after each put.
+ */
+
+import { deleteEntries, getEntries, getEntry, putEntry } from './metadata';
+
+/* Share of the entries kept when the storage quota is exceeded */
+const QUOTA_RATIO = 0.5;
+
+function ignore() {}
+
+export class BoundedCache {
+  #name;
+  #maxEntries;
+  #maxAge;
+
+  /**
+   * @param {string} name Name of the cache in `CacheStorage`
+   * @param {Object} limits
+   * @param {number} [limits.maxEntries]
+   * @param {number} [limits.maxAge] Seconds a response stays fresh
+   */
+  constructor(name, { maxEntries = Infinity, maxAge = Infinity } = {}) {
+    this.#name = name;
+    this.#maxEntries = maxEntries;
+    this.#maxAge = maxAge * 1000;
+  }
+
+  get name() {
+    return this.#name;
+  }
+
+  #isExpired(entry, now) {
+    return entry !== undefined && now - entry.stored > this.#maxAge;
+  }
+
+  /**
+   * @param {Request} request
+   * @returns {Promise<Response | undefined>} The cached response, unless it
+   *          has expired
+   */
+  match(request) {
+    return caches
+      .open(this.#name)
+      .then((cache) => cache.match(request))
+      .then((response) => {
+        if (!response) {
+          return undefined;
+        }
+
+        return getEntry(this.#name, request.url)
+          .catch(ignore)
+          .then((entry) => {
+            const now = Date.now();
+
+            if (this.#isExpired(entry, now)) {
+              return this.#delete([request.url]).then(() => undefined);
+            }
+
+            putEntry({
+              cache: this.#name,
+              url: request.url,
+              stored: entry ? entry.stored : now,
+              accessed: now
+            }).catch(ignore);
+
+            return response;
+          });
+      });
+  }
+
+  /**
+   * Stores the response, then evicts the entries over the limits.
+   */
+  put(request, response) {
+    return this.#store(request, response.clone())
+      .catch((error) => {
+        if (error.name !== 'QuotaExceededError') {
+          throw error;
+        }
+
+        // Make room and give it another try
+        return this.#count()
+          .then((count) => this.trim(Math.floor(count * QUOTA_RATIO)))
+          .then(() => this.#store(request, response));
+      })
+      .then(() => this.trim());
+  }
+
+  /**
+   * Removes the expired entries and the least recently used ones over the
+   * limit.
+   * @param {number} limit Maximum number of entries to keep
+   */
+  trim(limit = this.#maxEntries) {
+    return Promise.all([
+      caches.open(this.#name),
+      getEntries(this.#name).catch(() => [])
+    ]).then(([cache, entries]) =>
+      cache.keys().then((requests) => {
+        const now = Date.now();
+        const metadata = new Map(entries.map((entry) => [entry.url, entry]));
+        const urls = new Set(requests.map((request) => request.url));
+
+        // responses without metadata count as the least recently used
+        const accessed = (url) =>
+          metadata.has(url) ? metadata.get(url).accessed : 0;
+
+        const fresh = [...urls]
+          .filter((url) => !this.#isExpired(metadata.get(url), now))
+          .sort((a, b) => accessed(b) - accessed(a));
+
+        const kept = new Set(fresh.slice(0, limit));
+        const evicted = [...urls].filter((url) => !kept.has(url));
+        const orphans = entries
+          .map((entry) => entry.url)
+          .filter((url) => !urls.has(url));
+
+        if (evicted.length === 0 && orphans.length === 0) {
+          return;
+        }
+
+        return Promise.all(evicted.map((url) => cache.delete(url))).then(() =>
+          deleteEntries(this.#name, evicted.concat(orphans)).catch(ignore)
+        );
+      })
+    );
+  }
+
+  #store(request, response) {
+    const now = Date.now();
+
+    return caches
+      .open(this.#name)
+      .then((cache) => cache.put(request, response))
+      .then(() =>
+        putEntry({
+          cache: this.#name,
+          url: request.url,
+          stored: now,
+          accessed: now
+        })
+      );
+  }
+
+  #count() {
+    return caches
+      .open(this.#name)
+      .then((cache) => cache.keys())
+      .then((requests) => requests.length);
+  }
+
+  #delete(urls) {
+    return caches
+      .open(this.#name)
+      .then((cache) => Promise.all(urls.map((url) => cache.delete(url))))
+      .then(() => deleteEntries(this.#name, urls).catch(ignore));
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * Storage and access times of the cached responses, and the items saved for
+ * offline reading, persisted in IndexedDB so that they survive the restarts
+ * of the worker.
+ */
+
+const DB_NAME = 'sw-cache-metadata';
+const DB_VERSION = 2;
+const STORE = 'entries';
+const SAVED_STORE = 'saved';
+
+let database = null;
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function open() {
+  if (database === null) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+
+      if (event.oldVersion < 1) {
+        const store = db.createObjectStore(STORE, {
+          keyPath: ['cache', 'url']
+        });
+        store.createIndex('cache', 'cache');
+      }
+
+      if (event.oldVersion < 2) {
+        db.createObjectStore(SAVED_STORE, { keyPath: 'id' });
+      }
+    };
+
+    database = promisify(request).catch((error) => {
+      database = null;
+      throw error;
+    });
+  }
+
+  return database;
+}
+
+function transaction(mode, callback, storeName = STORE) {
+  return open().then((db) => {
+    const tx = db.transaction(storeName, mode);
+    const result = callback(tx.objectStore(storeName));
+
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  });
+}
+
+/**
+ * @typedef {Object} Entry
+ * @property {string} cache
+ * @property {string} url
+ * @property {number} stored Time the response was stored
+ * @property {number} accessed Time the response was last served
+ */
+
+/**
+ * @returns {Promise<Entry | undefined>}
+ */
+export function getEntry(cache, url) {
+  return open().then((db) =>
+    promisify(db.transaction(STORE).objectStore(STORE).get([cache, url]))
+  );
+}
+
+/**
+ * @returns {Promise<Entry[]>}
+ */
+export function getEntries(cache) {
+  return open().then((db) =>
+    promisify(
+      db.transaction(STORE).objectStore(STORE).index('cache').getAll(cache)
+    )
+  );
+}
+
+export function putEntry(entry) {
+  return transaction('readwrite', (store) => {
+    store.put(entry);
+  });
+}
+
+export function deleteEntries(cache, urls) {
+  return transaction('readwrite', (store) => {
+    urls.forEach((url) => store.delete([cache, url]));
+  });
+}
+
+/**
+ * Drops the metadata of the caches that are not listed.
+ * @param {string[]} keep Names of the caches in use
+ */
+export function retainCaches(keep) {
+  return transaction('readwrite', (store) => {
+    store.openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+
+      if (cursor) {
+        if (!keep.includes(cursor.value.cache)) {
+          cursor.delete();
+        }
+        cursor.continue();
+      }
+    };
+  });
+}
+
+/**
+ * @typedef {Object} SavedItem
+ * @property {string} id
+ * @property {'post' | 'series'} type
+ * @property {string} title
+ * @property {string} url Page to open the item
+ * @property {string[]} resources URLs stored for the item
+ * @property {number} size Bytes of the stored responses
+ * @property {number} saved Time the item was saved
+ */
+
+/**
+ * @returns {Promise<SavedItem[]>}
+ */
+export function getSavedItems() {
+  return open().then((db) =>
+    promisify(db.transaction(SAVED_STORE).objectStore(SAVED_STORE).getAll())
+  );
+}
+
+export function putSavedItem(item) {
+  return transaction(
+    'readwrite',
+    (store) => {
+      store.put(item);
+    },
+    SAVED_STORE
+  );
+}
+
+export function deleteSavedItem(id) {
+  return transaction(
+    'readwrite',
+    (store) => {
+      store.delete(id);
+    },
+    SAVED_STORE
+  );
+}
@@ -0,0 +1,126 @@
+/**
+ * Installation cache of the resources listed by the precache manifest.
+ *
+ * Each version of the manifest gets its own cache, and the resources whose
+ * content hash did not change are copied over from the previous caches
+ * instead of being downloaded again.
+ */
+
+/* Key of the manifest stored along with the resources */
+const MANIFEST_KEY = '/__precache-manifest__';
+
+/**
+ * @typedef {Object} Manifest
+ * @property {string} version Hash of all the revisions
+ * @property {{ url: string, revision: string | null, size: number }[]} entries
+ *           Resources with their content hash, `null` if unknown
+ */
+
+export class Precache {
+  #prefix;
+  #manifest;
+
+  /**
+   * @param {string} prefix Prefix of the cache names
+   * @param {Manifest} manifest
+   */
+  constructor(prefix, manifest) {
+    this.#prefix = prefix;
+    this.#manifest = manifest;
+  }
+
+  get cacheName() {
+    return `${this.#prefix}${this.#manifest.version}`;
+  }
+
+  isPrecache(name) {
+    return name.startsWith(this.#prefix);
+  }
+
+  /**
+   * Downloads the new and changed resources.
+   */
+  install() {
+    return Promise.all([
+      caches.open(this.cacheName),
+      this.#previousCaches()
+    ]).then(([cache, previous]) => {
+      const updated = [];
+
+      return Promise.all(
+        this.#manifest.entries.map((entry) =>
+          this.#reuse(entry, previous).then((response) => {
+            if (response) {
+              return cache.put(entry.url, response);
+            }
+
+            updated.push(entry);
+            return cache.add(new Request(entry.url, { cache: 'reload' }));
+          })
+        )
+      ).then(() => {
+        const record = {
+          ...this.#manifest,
+          update: {
+            files: updated.length,
+            bytes: updated.reduce((sum, entry) => sum + entry.size, 0)
+          }
+        };
+
+        return cache.put(
+          MANIFEST_KEY,
+          new Response(JSON.stringify(record), {
+            headers: { 'Content-Type': 'application/json' }
+          })
+        );
+      });
+    });
+  }
+
+  /**
+   * @returns {Promise<{ files: number, bytes: number }>} What the
+   *          installation of this version downloaded
+   */
+  updateSize() {
+    return caches
+      .match(MANIFEST_KEY, { cacheName: this.cacheName })
+      .then((response) => (response ? response.json() : {}))
+      .then(({ update }) => update || { files: 0, bytes: 0 });
+  }
+
+  /* A reinstallation of the same version finds its resources in its own cache */
+  #previousCaches() {
+    return caches.keys().then((names) =>
+      Promise.all(
+        names
+          .filter((name) => this.isPrecache(name))
+          .map((name) =>
+            caches.open(name).then((cache) =>
+              cache
+                .match(MANIFEST_KEY)
+                .then((response) => (response ? response.json() : null))
+                .then((manifest) => ({ cache, manifest }))
+            )
+          )
+      ).then((list) => list.filter(({ manifest }) => manifest !== null))
+    );
+  }
+
+  /**
+   * @returns {Promise<Response | undefined>} The copy of the entry in a
+   *          previous cache, if its content did not change
+   */
+  #reuse(entry, previous) {
+    if (entry.revision === null) {
+      return Promise.resolve();
+    }
+
+    const source = previous.find(({ manifest }) =>
+      manifest.entries.some(
+        (old) => old.url === entry.url && old.revision === entry.revision
+      )
+    );
+
+    return source ? source.cache.match(entry.url) : Promise.resolve();
+  }
+}
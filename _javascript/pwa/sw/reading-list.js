@@ -0,0 +1,133 @@
+/**
+ * Posts and series saved for offline reading. Their responses live in a cache
+ * that outlives the versions of the worker, until the reader removes them.
+ */
+
+import { deleteSavedItem, getSavedItems, putSavedItem } from './metadata';
+
+function getSize(response) {
+  // the body of cross-origin responses cannot be read
+  if (response.type === 'opaque') {
+    return Promise.resolve(0);
+  }
+
+  return response
+    .clone()
+    .blob()
+    .then((blob) => blob.size);
+}
+
+export class ReadingList {
+  #cacheName;
+  #canStore;
+
+  /**
+   * @param {string} cacheName
+   * @param {(url: string) => boolean} canStore Whether a resource of an item
+   *        may be stored
+   */
+  constructor(cacheName, canStore) {
+    this.#cacheName = cacheName;
+    this.#canStore = canStore;
+  }
+
+  get cacheName() {
+    return this.#cacheName;
+  }
+
+  /**
+   * @returns {Promise<import('./metadata').SavedItem[]>} The items, the most
+   *          recently saved first
+   */
+  list() {
+    return getSavedItems().then((items) =>
+      items.sort((a, b) => b.saved - a.saved)
+    );
+  }
+
+  /**
+   * Stores the resources of the item, failing only if its page cannot be
+   * fetched.
+   * @param {{ id: string, type: string, title: string, url: string, resources: string[] }} item
+   * @returns {Promise<import('./metadata').SavedItem>}
+   */
+  save(item) {
+    // the page may send the URLs relative to the site
+    const absolute = (path) => new URL(path, self.location.href).href;
+    const url = absolute(item.url);
+    const resources = [
+      ...new Set([url, ...item.resources.map(absolute)])
+    ].filter(this.#canStore);
+
+    return this.remove(item.id)
+      .then(() => caches.open(this.#cacheName))
+      .then((cache) =>
+        Promise.all(
+          resources.map((resource) =>
+            this.#store(cache, resource).catch((error) => {
+              if (resource === url || error.name === 'QuotaExceededError') {
+                throw error;
+              }
+              return 0;
+            })
+          )
+        )
+      )
+      .then((sizes) => {
+        const saved = {
+          ...item,
+          url,
+          resources,
+          size: sizes.reduce((sum, size) => sum + size, 0),
+          saved: Date.now()
+        };
+
+        return putSavedItem(saved).then(() => saved);
+      });
+  }
+
+  /**
+   * Removes the item along with the resources no other item uses.
+   */
+  remove(id) {
+    return getSavedItems().then((items) => {
+      const item = items.find((saved) => saved.id === id);
+
+      if (item === undefined) {
+        return;
+      }
+
+      const inUse = new Set(
+        items
+          .filter((saved) => saved.id !== id)
+          .flatMap((saved) => saved.resources)
+      );
+
+      return caches
+        .open(this.#cacheName)
+        .then((cache) =>
+          Promise.all(
+            item.resources
+              .filter((url) => !inUse.has(url))
+              .map((url) => cache.delete(url))
+          )
+        )
+        .then(() => deleteSavedItem(id));
+    });
+  }
+
+  #store(cache, url) {
+    const sameOrigin = new URL(url).origin === self.location.origin;
+    const request = new Request(url, sameOrigin ? {} : { mode: 'no-cors' });
+
+    return fetch(request).then((response) => {
+      if (!response.ok && response.type !== 'opaque') {
+        throw new Error(`${response.status} ${response.statusText}: ${url}`);
+      }
+
+      return getSize(response).then((size) =>
+        cache.put(request, response).then(() => size)
+      );
+    });
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * Caching strategies of the service worker, each resolving a request to
+ * a response.
+ */
+
+/**
+ * @typedef {Object} StrategyOptions
+ * @property {import('./bounded-cache').BoundedCache | null} cache Runtime
+ *           cache of the route, `null` if the responses may not be stored
+ * @property {string[]} stores Names of the caches searched after the runtime
+ *           one, like the installation and the reading list caches
+ * @property {number} [timeout] Milliseconds to wait for the network before
+ *           falling back to the cache
+ * @property {(promise: Promise) => void} waitUntil Keeps the worker alive
+ *           for the background work
+ */
+
+function isStorable(response) {
+  return response.ok || response.type === 'opaque';
+}
+
+function match(request, { cache, stores }) {
+  return stores.reduce(
+    (found, cacheName) =>
+      found.then(
+        (response) => response || caches.match(request, { cacheName })
+      ),
+    cache === null ? Promise.resolve() : cache.match(request)
+  );
+}
+
+function fetchAndCache(request, { cache, waitUntil }) {
+  return fetch(request).then((response) => {
+    if (cache !== null && isStorable(response)) {
+      waitUntil(cache.put(request, response.clone()).catch(() => {}));
+    }
+
+    return response;
+  });
+}
+
+function networkOnly(request) {
+  return fetch(request);
+}
+
+function cacheFirst(request, options) {
+  return match(request, options).then((cached) => {
+    return cached || fetchAndCache(request, options);
+  });
+}
+
+/**
+ * Serves from the network, falling back to the cache when it fails or is
+ * slower than the timeout of the route.
+ */
+function networkFirst(request, options) {
+  const network = fetchAndCache(request, options);
+  options.waitUntil(network.catch(() => {}));
+
+  const fallback = () =>
+    match(request, options).then((cached) => cached || network);
+
+  if (!options.timeout) {
+    return network.catch(fallback);
+  }
+
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(fallback()), options.timeout);
+
+    network
+      .then((response) => {
+        clearTimeout(timer);
+        resolve(response);
+      })
+      .catch(() => {
+        clearTimeout(timer);
+        resolve(fallback());
+      });
+  });
+}
+
+/**
+ * Serves the cached copy right away and refreshes it in the background.
+ */
+function staleWhileRevalidate(request, options) {
+  const network = fetchAndCache(request, options);
+  options.waitUntil(network.catch(() => {}));
+
+  return match(request, options).then((cached) => cached || network);
+}
+
+export const strategies = {
+  networkOnly,
+  networkFirst,
+  cacheFirst,
+  staleWhileRevalidate
+};
@@ -2,12 +2,29 @@
  * Theme management class
  *
  * To reduce flickering during page load, this script should be loaded synchronously.
+ *
+ * Components follow the changes through `subscribe()`, which also covers the
+ * changes made in the other tabs of the site.
  */
+
+import { LocalStorage } from './modules/components/storage';
+
 class Theme {
   static #modeKey = 'mode';
   static #modeAttr = 'data-mode';
   static #darkMedia = window.matchMedia('(prefers-color-scheme: dark)');
   static switchable = !document.documentElement.hasAttribute(this.#modeAttr);
+  static #listeners = new Set();
+  static #channel = null;
+  static #lastState = null;
+
+  /* The light or dark scheme each color scheme is based on */
+  static #bases = {
+    light: 'light',
+    dark: 'dark',
+    'high-contrast': 'dark',
+    sepia: 'light'
+  };
 
   static get DARK() {
     return 'dark';
@@ -17,6 +34,28 @@ class Theme {
     return 'light';
   }
 
+  static get HIGH_CONTRAST() {
+    return 'high-contrast';
+  }
+
+  static get SEPIA() {
+    return 'sepia';
+  }
+
+  /**
+   * @returns {string} Preference of following the system light or dark mode
+   */
+  static get SYSTEM() {
+    return 'system';
+  }
+
+  /**
+   * @returns {string[]} The color schemes that can be set as `data-mode`
+   */
+  static get SCHEMES() {
+    return Object.keys(this.#bases);
+  }
+
   /**
    * @returns {string} Theme mode identifier
    */
@@ -24,6 +63,17 @@ class Theme {
     return 'theme-mode';
   }
 
+  /**
+   * Sources of the theme change events
+   */
+  static get SOURCE() {
+    return {
+      USER: 'user', // set in this tab
+      SYSTEM: 'system', // the system switched between light and dark
+      SYNC: 'sync' // set in another tab
+    };
+  }
+
   /**
    * Gets the current visual state of the theme.
    *
@@ -38,15 +88,29 @@ class Theme {
     }
   }
 
+  /**
+   * @returns {boolean} Whether the current color scheme is a dark one
+   */
+  static get isDark() {
+    return this.#bases[this.visualState] === this.DARK;
+  }
+
+  /**
+   * @returns {string} The color scheme chosen by the reader, or `SYSTEM`
+   */
+  static get preference() {
+    return this.#storedMode || this.SYSTEM;
+  }
+
   static get #mode() {
     return (
-      sessionStorage.getItem(this.#modeKey) ||
-      document.documentElement.getAttribute(this.#modeAttr)
+      this.#storedMode || document.documentElement.getAttribute(this.#modeAttr)
     );
   }
 
-  static get #isDarkMode() {
-    return this.#mode === this.DARK;
+  static get #storedMode() {
+    const mode = LocalStorage.get(this.#modeKey);
+    return this.SCHEMES.includes(mode) ? mode : null;
   }
 
   static get #hasMode() {
@@ -61,13 +125,21 @@ class Theme {
    * Maps theme modes to provided values
    * @param {string} light Value for light mode
    * @param {string} dark Value for dark mode
+   * @param {Object<string, string>} [schemes] Values for the other color
+   *        schemes, which otherwise get the value of their light or dark base
    * @returns {Object} Mapped values
    */
-  static getThemeMapper(light, dark) {
-    return {
-      [this.LIGHT]: light,
-      [this.DARK]: dark
-    };
+  static getThemeMapper(light, dark, schemes = {}) {
+    return Object.fromEntries(
+      this.SCHEMES.map((scheme) => [
+        scheme,
+        scheme in schemes
+          ? schemes[scheme]
+          : this.#bases[scheme] === this.DARK
+            ? dark
+            : light
+      ])
+    );
   }
 
   /**
@@ -79,57 +151,84 @@ class Theme {
     }
 
     this.#darkMedia.addEventListener('change', () => {
-      const lastMode = this.#mode;
-      this.#clearMode();
-
-      if (lastMode !== this.visualState) {
-        this.#notify();
+      if (!this.#hasMode) {
+        this.#notify(this.SOURCE.SYSTEM);
       }
     });
 
-    if (!this.#hasMode) {
-      return;
+    // The other tab has already stored the mode, only the page is left to update
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.#channel = new BroadcastChannel(this.ID);
+      this.#channel.addEventListener('message', (e) => {
+        this.#applyMode(e.data.mode);
+        this.#notify(this.SOURCE.SYNC);
+      });
     }
 
-    if (this.#isDarkMode) {
-      this.#setDark();
-    } else {
-      this.#setLight();
+    if (this.#hasMode) {
+      document.documentElement.setAttribute(this.#modeAttr, this.#mode);
     }
+
+    this.#lastState = this.visualState;
   }
 
   /**
-   * Flips the current theme mode
+   * Calls the listener on every change of the visual state
+   * @param {(event: { previous: string, current: string, source: string }) => void} listener
+   *        Receives the previous and current visual states, and one of `SOURCE`
    */
-  static flip() {
-    if (this.#hasMode) {
-      this.#clearMode();
-    } else {
-      this.#sysDark ? this.#setLight() : this.#setDark();
-    }
-    this.#notify();
+  static subscribe(listener) {
+    this.#listeners.add(listener);
   }
 
-  static #setDark() {
-    document.documentElement.setAttribute(this.#modeAttr, this.DARK);
-    sessionStorage.setItem(this.#modeKey, this.DARK);
+  static unsubscribe(listener) {
+    this.#listeners.delete(listener);
   }
 
-  static #setLight() {
-    document.documentElement.setAttribute(this.#modeAttr, this.LIGHT);
-    sessionStorage.setItem(this.#modeKey, this.LIGHT);
+  /**
+   * Sets and remembers the color scheme
+   * @param {string} mode One of `SCHEMES`, or `SYSTEM`
+   */
+  static setMode(mode) {
+    if (mode === this.SYSTEM) {
+      LocalStorage.remove(this.#modeKey);
+    } else {
+      LocalStorage.set(this.#modeKey, mode);
+    }
+
+    this.#applyMode(mode);
+
+    if (this.#channel !== null) {
+      this.#channel.postMessage({ mode });
+    }
+
+    this.#notify(this.SOURCE.USER);
   }
 
-  static #clearMode() {
-    document.documentElement.removeAttribute(this.#modeAttr);
-    sessionStorage.removeItem(this.#modeKey);
+  static #applyMode(mode) {
+    if (mode === this.SYSTEM) {
+      document.documentElement.removeAttribute(this.#modeAttr);
+    } else {
+      document.documentElement.setAttribute(this.#modeAttr, mode);
+    }
   }
 
   /**
-   * Notifies other plugins that the theme mode has changed
+   * Notifies the subscribers if the visual state has changed
    */
-  static #notify() {
-    window.postMessage({ id: this.ID }, '*');
+  static #notify(source) {
+    const previous = this.#lastState;
+    const current = this.visualState;
+
+    if (current === previous) {
+      return;
+    }
+
+    this.#lastState = current;
+
+    this.#listeners.forEach((listener) => {
+      listener({ previous, current, source });
+    });
   }
 }
 
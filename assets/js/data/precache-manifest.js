@@ -0,0 +1,6 @@
+---
+permalink: '/:path/precache-manifest.js'
+# Replaced by `npm run precache` once the site is built, with the content hash of each resource.
+---
+
+const precacheManifest = null;
@@ -6,12 +6,36 @@ permalink: '/:path/swconf.js'
 
 const swconf = {
   {% if site.pwa.cache.enabled %}
-    cacheName: 'chirpy-{{ "now" | date: "%s" }}',
+    {%- comment -%}
+      Prefix of the cache names. The installation cache is versioned by `precache-manifest.js`.
+    {%- endcomment -%}
+    cachePrefix: 'chirpy',
 
-    {%- comment -%} Resources added to the cache during PWA installation. {%- endcomment -%}
+    {%- comment -%} Posts saved for offline reading, kept across the versions of the site. {%- endcomment -%}
+    savedCacheName: 'chirpy-saved',
+
+    {% assign offline_pages = site.html_pages | where: 'offline', true %}
+
+    {%- comment -%} Pages served when a navigation fails offline, by language. {%- endcomment -%}
+    offlinePages: {
+      {% for page in offline_pages %}
+        {% assign page_lang = page.lang | default: site.lang | split: '-' | first %}
+        '{{ page_lang }}': '{{ page.url | relative_url }}'{%- unless forloop.last -%},{%- endunless -%}
+      {% endfor %}
+    },
+    defaultLang: '{{ site.lang | split: '-' | first }}',
+
+    {%- comment -%}
+      Resources added to the cache during PWA installation.
+      `npm run precache` hashes them into `precache-manifest.js` once the site is built.
+    {%- endcomment -%}
     resources: [
       '{{ "/assets/css/:THEME.css" | replace: ':THEME', site.theme | relative_url }}',
       '{{ "/" | relative_url }}',
+      '{{ "/assets/js/data/search.json" | relative_url }}',
+      {% for page in offline_pages %}
+        '{{- page.url | relative_url -}}',
+      {% endfor %}
       {% for tab in site.tabs %}
         '{{- tab.url | relative_url -}}',
       {% endfor %}
@@ -40,6 +64,83 @@ const swconf = {
       ]
     },
 
+    {%- comment -%}
+      Limits of the runtime caches, beyond which the least recently used responses are evicted.
+      `maxAge` is in seconds.
+    {%- endcomment -%}
+    caches: {
+      pages: { maxEntries: 50, maxAge: 604800 },
+      images: { maxEntries: 60, maxAge: 2592000 },
+      assets: { maxEntries: 60, maxAge: 2592000 },
+      data: { maxEntries: 10, maxAge: 86400 },
+      runtime: { maxEntries: 50, maxAge: 86400 }
+    },
+
+    {%- comment -%}
+      Caching strategy per route, the first matching one applies.
+      A route matches by request mode, destination (the type of content), path prefix or host,
+      and stores the responses in one of the `caches` above.
+    {%- endcomment -%}
+    routes: [
+      {
+        strategy: 'networkOnly',
+        hosts: [
+          'google-analytics.com',
+          'googletagmanager.com',
+          'goatcounter.com',
+          'gc.zgo.at',
+          'cloudflareinsights.com',
+          'usefathom.com'
+        ]
+      },
+      {
+        strategy: 'networkFirst',
+        mode: 'navigate',
+        cache: 'pages',
+        timeout: {{ site.pwa.cache.timeout.pages | default: 3000 }}
+      },
+      {
+        strategy: 'staleWhileRevalidate',
+        cache: 'data',
+        paths: [
+          '{{ "/assets/js/data/search" | relative_url }}',
+          '{{ "/feed.xml" | relative_url }}',
+          '{{ "/feed-ptbr.xml" | relative_url }}'
+        ]
+      },
+      {%- comment -%} The URLs of these assets change with their content. {%- endcomment -%}
+      {
+        strategy: 'cacheFirst',
+        cache: 'assets',
+        paths: [
+          '{{ "/assets/lib/" | relative_url }}',
+          '{{ "/assets/img/posts/variants/" | relative_url }}'
+        ]
+      },
+      {
+        strategy: 'cacheFirst',
+        cache: 'assets',
+        hosts: ['cdn.jsdelivr.net', 'fonts.gstatic.com']
+      },
+      {
+        strategy: 'cacheFirst',
+        destinations: ['image'],
+        cache: 'images'
+      },
+      {%- comment -%} The bundles of the theme keep their URLs across the versions of the site. {%- endcomment -%}
+      {
+        strategy: 'staleWhileRevalidate',
+        destinations: ['font', 'script', 'style'],
+        cache: 'assets'
+      }
+    ],
+
+    defaultRoute: {
+      strategy: 'networkFirst',
+      cache: 'runtime',
+      timeout: {{ site.pwa.cache.timeout.default | default: 5000 }}
+    },
+
     purge: false
   {% else %}
     purge: true
@@ -1,4 +0,0 @@
-/*!
- * jekyll-theme-chirpy v7.3.1 | © 2019 Cotes Chung | MIT Licensed | https://github.com/cotes2020/jekyll-theme-chirpy/
- */
-!function(){"use strict";const e=new Map;var t={set(t,n,i){e.has(t)||e.set(t,new Map);const o=e.get(t);o.has(n)||0===o.size?o.set(n,i):console.error("Bootstrap doesn't allow more than one instance per element. Bound instance: ".concat(Array.from(o.keys())[0],"."))},get:(t,n)=>e.has(t)&&e.get(t).get(n)||null,remove(t,n){if(!e.has(t))return;const i=e.get(t);i.delete(n),0===i.size&&e.delete(t)}};const n="transitionend",i=e=>(e&&window.CSS&&window.CSS.escape&&(e=e.replace(/#([^\s"#']+)/g,(e,t)=>"#".concat(CSS.escape(t)))),e),o=e=>null==e?"".concat(e):Object.prototype.toString.call(e).match(/\s([a-z]+)/i)[1].toLowerCase(),r=e=>!(!e||"object"!=typeof e)&&(void 0!==e.jquery&&(e=e[0]),void 0!==e.nodeType),s=e=>r(e)?e.jquery?e[0]:e:"string"==typeof e&&e.length>0?document.querySelector(i(e)):null,a=e=>{if(!document.documentElement.attachShadow)return null;if("function"==typeof e.getRootNode){const t=e.getRootNode();return t instanceof ShadowRoot?t:null}return e instanceof ShadowRoot?e:e.parentNode?a(e.parentNode):null},c=()=>{},l=()=>window.jQuery&&!document.body.hasAttribute("data-bs-no-jquery")?window.jQuery:null,f=[],u=()=>"rtl"===document.documentElement.dir,d=e=>{var t;t=()=>{const t=l();if(t){const n=e.NAME,i=t.fn[n];t.fn[n]=e.jQueryInterface,t.fn[n].Constructor=e,t.fn[n].noConflict=()=>(t.fn[n]=i,e.jQueryInterface)}},"loading"===document.readyState?(f.length||document.addEventListener("DOMContentLoaded",()=>{for(const e of f)e()}),f.push(t)):t()},p=function(e){let t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:[],n=arguments.length>2&&void 0!==arguments[2]?arguments[2]:e;return"function"==typeof e?e.call(...t):n},h=function(e,t){if(!(!(arguments.length>2&&void 0!==arguments[2])||arguments[2]))return void p(e);const i=(e=>{if(!e)return 0;let{transitionDuration:t,transitionDelay:n}=window.getComputedStyle(e);const i=Number.parseFloat(t),o=Number.parseFloat(n);return i||o?(t=t.split(",")[0],n=n.split(",")[0],1e3*(Number.parseFloat(t)+Number.parseFloat(n))):0})(t)+5;let o=!1;const r=i=>{let{target:s}=i;s===t&&(o=!0,t.removeEventListener(n,r),p(e))};t.addEventListener(n,r),setTimeout(()=>{o||t.dispatchEvent(new Event(n))},i)},g=/[^.]*(?=\..*)\.|.*/,m=/\..*/,v=/::\d+$/,b={};let y=1;const _={mouseenter:"mouseover",mouseleave:"mouseout"},w=new Set(["click","dblclick","mouseup","mousedown","contextmenu","mousewheel","DOMMouseScroll","mouseover","mouseout","mousemove","selectstart","selectend","keydown","keypress","keyup","orientationchange","touchstart","touchmove","touchend","touchcancel","pointerdown","pointermove","pointerup","pointerleave","pointercancel","gesturestart","gesturechange","gestureend","focus","blur","change","reset","select","submit","focusin","focusout","load","unload","beforeunload","resize","move","DOMContentLoaded","readystatechange","error","abort","scroll"]);function E(e,t){return t&&"".concat(t,"::").concat(y++)||e.uidEvent||y++}function O(e){const t=E(e);return e.uidEvent=t,b[t]=b[t]||{},b[t]}function x(e,t){let n=arguments.length>2&&void 0!==arguments[2]?arguments[2]:null;return Object.values(e).find(e=>e.callable===t&&e.delegationSelector===n)}function A(e,t,n){const i="string"==typeof t,o=i?n:t||n;let r=S(e);return w.has(r)||(r=e),[i,o,r]}function C(e,t,n,i,o){if("string"!=typeof t||!e)return;let[r,s,a]=A(t,n,i);if(t in _){const e=e=>function(t){if(!t.relatedTarget||t.relatedTarget!==t.delegateTarget&&!t.delegateTarget.contains(t.relatedTarget))return e.call(this,t)};s=e(s)}const c=O(e),l=c[a]||(c[a]={}),f=x(l,s,r?n:null);if(f)return void(f.oneOff=f.oneOff&&o);const u=E(s,t.replace(g,"")),d=r?function(e,t,n){return function i(o){const r=e.querySelectorAll(t);for(let{target:s}=o;s&&s!==this;s=s.parentNode)for(const a of r)if(a===s)return k(o,{delegateTarget:s}),i.oneOff&&j.off(e,o.type,t,n),n.apply(s,[o])}}(e,n,s):function(e,t){return function n(i){return k(i,{delegateTarget:e}),n.oneOff&&j.off(e,i.type,t),t.apply(e,[i])}}(e,s);d.delegationSelector=r?n:null,d.callable=s,d.oneOff=o,d.uidEvent=u,l[u]=d,e.addEventListener(a,d,r)}function L(e,t,n,i,o){const r=x(t[n],i,o);r&&(e.removeEventListener(n,r,Boolean(o)),delete t[n][r.uidEvent])}function T(e,t,n,i){const o=t[n]||{};for(const[r,s]of Object.entries(o))r.includes(i)&&L(e,t,n,s.callable,s.delegationSelector)}function S(e){return e=e.replace(m,""),_[e]||e}const j={on(e,t,n,i){C(e,t,n,i,!1)},one(e,t,n,i){C(e,t,n,i,!0)},off(e,t,n,i){if("string"!=typeof t||!e)return;const[o,r,s]=A(t,n,i),a=s!==t,c=O(e),l=c[s]||{},f=t.startsWith(".");if(void 0===r){if(f)for(const n of Object.keys(c))T(e,c,n,t.slice(1));for(const[n,i]of Object.entries(l)){const o=n.replace(v,"");a&&!t.includes(o)||L(e,c,s,i.callable,i.delegationSelector)}}else{if(!Object.keys(l).length)return;L(e,c,s,r,o?n:null)}},trigger(e,t,n){if("string"!=typeof t||!e)return null;const i=l();let o=null,r=!0,s=!0,a=!1;t!==S(t)&&i&&(o=i.Event(t,n),i(e).trigger(o),r=!o.isPropagationStopped(),s=!o.isImmediatePropagationStopped(),a=o.isDefaultPrevented());const c=k(new Event(t,{bubbles:r,cancelable:!0}),n);return a&&c.preventDefault(),s&&e.dispatchEvent(c),c.defaultPrevented&&o&&o.preventDefault(),c}};function k(e){let t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{};for(const[n,i]of Object.entries(t))try{e[n]=i}catch(t){Object.defineProperty(e,n,{configurable:!0,get:()=>i})}return e}function P(e,t,n){if("function"==typeof e?e===t:e.has(t))return arguments.length<3?t:n;throw new TypeError("Private element is not present on this object")}function D(e,t,n){return(t=function(e){var t=function(e,t){if("object"!=typeof e||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var i=n.call(e,t);if("object"!=typeof i)return i;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==typeof t?t:t+""}(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function N(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);t&&(i=i.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,i)}return n}function M(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?N(Object(n),!0).forEach(function(t){D(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):N(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function B(e){if("true"===e)return!0;if("false"===e)return!1;if(e===Number(e).toString())return Number(e);if(""===e||"null"===e)return null;if("string"!=typeof e)return e;try{return JSON.parse(decodeURIComponent(e))}catch(t){return e}}function I(e){return e.replace(/[A-Z]/g,e=>"-".concat(e.toLowerCase()))}const F={setDataAttribute(e,t,n){e.setAttribute("data-bs-".concat(I(t)),n)},removeDataAttribute(e,t){e.removeAttribute("data-bs-".concat(I(t)))},getDataAttributes(e){if(!e)return{};const t={},n=Object.keys(e.dataset).filter(e=>e.startsWith("bs")&&!e.startsWith("bsConfig"));for(const i of n){let n=i.replace(/^bs/,"");n=n.charAt(0).toLowerCase()+n.slice(1),t[n]=B(e.dataset[i])}return t},getDataAttribute:(e,t)=>B(e.getAttribute("data-bs-".concat(I(t))))};class H{static get Default(){return{}}static get DefaultType(){return{}}static get NAME(){throw new Error('You have to implement the static method "NAME", for each component!')}_getConfig(e){return e=this._mergeConfigObj(e),e=this._configAfterMerge(e),this._typeCheckConfig(e),e}_configAfterMerge(e){return e}_mergeConfigObj(e,t){const n=r(t)?F.getDataAttribute(t,"config"):{};return M(M(M(M({},this.constructor.Default),"object"==typeof n?n:{}),r(t)?F.getDataAttributes(t):{}),"object"==typeof e?e:{})}_typeCheckConfig(e){let t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:this.constructor.DefaultType;for(const[n,i]of Object.entries(t)){const t=e[n],s=r(t)?"element":o(t);if(!new RegExp(i).test(s))throw new TypeError("".concat(this.constructor.NAME.toUpperCase(),': Option "').concat(n,'" provided type "').concat(s,'" but expected type "').concat(i,'".'))}}}class z extends H{constructor(e,n){super(),(e=s(e))&&(this._element=e,this._config=this._getConfig(n),t.set(this._element,this.constructor.DATA_KEY,this))}dispose(){t.remove(this._element,this.constructor.DATA_KEY),j.off(this._element,this.constructor.EVENT_KEY);for(const e of Object.getOwnPropertyNames(this))this[e]=null}_queueCallback(e,t){h(e,t,!(arguments.length>2&&void 0!==arguments[2])||arguments[2])}_getConfig(e){return e=this._mergeConfigObj(e,this._element),e=this._configAfterMerge(e),this._typeCheckConfig(e),e}static getInstance(e){return t.get(s(e),this.DATA_KEY)}static getOrCreateInstance(e){let t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{};return this.getInstance(e)||new this(e,"object"==typeof t?t:null)}static get VERSION(){return"5.3.8"}static get DATA_KEY(){return"bs.".concat(this.NAME)}static get EVENT_KEY(){return".".concat(this.DATA_KEY)}static eventName(e){return"".concat(e).concat(this.EVENT_KEY)}}const W=e=>{let t=e.getAttribute("data-bs-target");if(!t||"#"===t){let n=e.getAttribute("href");if(!n||!n.includes("#")&&!n.startsWith("."))return null;n.includes("#")&&!n.startsWith("#")&&(n="#".concat(n.split("#")[1])),t=n&&"#"!==n?n.trim():null}return t?t.split(",").map(e=>i(e)).join(","):null},q={find(e){let t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:document.documentElement;return[].concat(...Element.prototype.querySelectorAll.call(t,e))},findOne(e){let t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:document.documentElement;return Element.prototype.querySelector.call(t,e)},children:(e,t)=>[].concat(...e.children).filter(e=>e.matches(t)),parents(e,t){const n=[];let i=e.parentNode.closest(t);for(;i;)n.push(i),i=i.parentNode.closest(t);return n},prev(e,t){let n=e.previousElementSibling;for(;n;){if(n.matches(t))return[n];n=n.previousElementSibling}return[]},next(e,t){let n=e.nextElementSibling;for(;n;){if(n.matches(t))return[n];n=n.nextElementSibling}return[]},focusableChildren(e){const t=["a","button","input","textarea","select","details","[tabindex]",'[contenteditable="true"]'].map(e=>"".concat(e,':not([tabindex^="-"])')).join(",");return this.find(t,e).filter(e=>!(e=>!e||e.nodeType!==Node.ELEMENT_NODE||!!e.classList.contains("disabled")||(void 0!==e.disabled?e.disabled:e.hasAttribute("disabled")&&"false"!==e.getAttribute("disabled")))(e)&&(e=>{if(!r(e)||0===e.getClientRects().length)return!1;const t="visible"===getComputedStyle(e).getPropertyValue("visibility"),n=e.closest("details:not([open])");if(!n)return t;if(n!==e){const t=e.closest("summary");if(t&&t.parentNode!==n)return!1;if(null===t)return!1}return t})(e))},getSelectorFromElement(e){const t=W(e);return t&&q.findOne(t)?t:null},getElementFromSelector(e){const t=W(e);return t?q.findOne(t):null},getMultipleElementsFromSelector(e){const t=W(e);return t?q.find(t):[]}},R=".".concat("bs.collapse"),V="show".concat(R),Y="shown".concat(R),U="hide".concat(R),K="hidden".concat(R),Q="click".concat(R).concat(".data-api"),X="show",$="collapse",G="collapsing",J=":scope .".concat($," .").concat($),Z='[data-bs-toggle="collapse"]',ee={parent:null,toggle:!0},te={parent:"(null|element)",toggle:"boolean"};class ne extends z{constructor(e,t){super(e,t),this._isTransitioning=!1,this._triggerArray=[];const n=q.find(Z);for(const e of n){const t=q.getSelectorFromElement(e),n=q.find(t).filter(e=>e===this._element);null!==t&&n.length&&this._triggerArray.push(e)}this._initializeChildren(),this._config.parent||this._addAriaAndCollapsedClass(this._triggerArray,this._isShown()),this._config.toggle&&this.toggle()}static get Default(){return ee}static get DefaultType(){return te}static get NAME(){return"collapse"}toggle(){this._isShown()?this.hide():this.show()}show(){if(this._isTransitioning||this._isShown())return;let e=[];if(this._config.parent&&(e=this._getFirstLevelChildren(".collapse.show, .collapse.collapsing").filter(e=>e!==this._element).map(e=>ne.getOrCreateInstance(e,{toggle:!1}))),e.length&&e[0]._isTransitioning)return;if(j.trigger(this._element,V).defaultPrevented)return;for(const t of e)t.hide();const t=this._getDimension();this._element.classList.remove($),this._element.classList.add(G),this._element.style[t]=0,this._addAriaAndCollapsedClass(this._triggerArray,!0),this._isTransitioning=!0;const n=t[0].toUpperCase()+t.slice(1),i="scroll".concat(n);this._queueCallback(()=>{this._isTransitioning=!1,this._element.classList.remove(G),this._element.classList.add($,X),this._element.style[t]="",j.trigger(this._element,Y)},this._element,!0),this._element.style[t]="".concat(this._element[i],"px")}hide(){if(this._isTransitioning||!this._isShown())return;if(j.trigger(this._element,U).defaultPrevented)return;const e=this._getDimension();this._element.style[e]="".concat(this._element.getBoundingClientRect()[e],"px"),this._element.offsetHeight,this._element.classList.add(G),this._element.classList.remove($,X);for(const e of this._triggerArray){const t=q.getElementFromSelector(e);t&&!this._isShown(t)&&this._addAriaAndCollapsedClass([e],!1)}this._isTransitioning=!0;this._element.style[e]="",this._queueCallback(()=>{this._isTransitioning=!1,this._element.classList.remove(G),this._element.classList.add($),j.trigger(this._element,K)},this._element,!0)}_isShown(){return(arguments.length>0&&void 0!==arguments[0]?arguments[0]:this._element).classList.contains(X)}_configAfterMerge(e){return e.toggle=Boolean(e.toggle),e.parent=s(e.parent),e}_getDimension(){return this._element.classList.contains("collapse-horizontal")?"width":"height"}_initializeChildren(){if(!this._config.parent)return;const e=this._getFirstLevelChildren(Z);for(const t of e){const e=q.getElementFromSelector(t);e&&this._addAriaAndCollapsedClass([t],this._isShown(e))}}_getFirstLevelChildren(e){const t=q.find(J,this._config.parent);return q.find(e,this._config.parent).filter(e=>!t.includes(e))}_addAriaAndCollapsedClass(e,t){if(e.length)for(const n of e)n.classList.toggle("collapsed",!t),n.setAttribute("aria-expanded",t)}static jQueryInterface(e){const t={};return"string"==typeof e&&/show|hide/.test(e)&&(t.toggle=!1),this.each(function(){const n=ne.getOrCreateInstance(this,t);if("string"==typeof e){if(void 0===n[e])throw new TypeError('No method named "'.concat(e,'"'));n[e]()}})}}j.on(document,Q,Z,function(e){("A"===e.target.tagName||e.delegateTarget&&"A"===e.delegateTarget.tagName)&&e.preventDefault();for(const e of q.getMultipleElementsFromSelector(this))ne.getOrCreateInstance(e,{toggle:!1}).toggle()}),d(ne);const ie=document.getElementsByClassName("collapse");var oe="top",re="bottom",se="right",ae="left",ce="auto",le=[oe,re,se,ae],fe="start",ue="end",de="clippingParents",pe="viewport",he="popper",ge="reference",me=le.reduce(function(e,t){return e.concat([t+"-"+fe,t+"-"+ue])},[]),ve=[].concat(le,[ce]).reduce(function(e,t){return e.concat([t,t+"-"+fe,t+"-"+ue])},[]),be="beforeRead",ye="read",_e="afterRead",we="beforeMain",Ee="main",Oe="afterMain",xe="beforeWrite",Ae="write",Ce="afterWrite",Le=[be,ye,_e,we,Ee,Oe,xe,Ae,Ce];function Te(e){return e?(e.nodeName||"").toLowerCase():null}function Se(e){if(null==e)return window;if("[object Window]"!==e.toString()){var t=e.ownerDocument;return t&&t.defaultView||window}return e}function je(e){return e instanceof Se(e).Element||e instanceof Element}function ke(e){return e instanceof Se(e).HTMLElement||e instanceof HTMLElement}function Pe(e){return"undefined"!=typeof ShadowRoot&&(e instanceof Se(e).ShadowRoot||e instanceof ShadowRoot)}var De={name:"applyStyles",enabled:!0,phase:"write",fn:function(e){var t=e.state;Object.keys(t.elements).forEach(function(e){var n=t.styles[e]||{},i=t.attributes[e]||{},o=t.elements[e];ke(o)&&Te(o)&&(Object.assign(o.style,n),Object.keys(i).forEach(function(e){var t=i[e];!1===t?o.removeAttribute(e):o.setAttribute(e,!0===t?"":t)}))})},effect:function(e){var t=e.state,n={popper:{position:t.options.strategy,left:"0",top:"0",margin:"0"},arrow:{position:"absolute"},reference:{}};return Object.assign(t.elements.popper.style,n.popper),t.styles=n,t.elements.arrow&&Object.assign(t.elements.arrow.style,n.arrow),function(){Object.keys(t.elements).forEach(function(e){var i=t.elements[e],o=t.attributes[e]||{},r=Object.keys(t.styles.hasOwnProperty(e)?t.styles[e]:n[e]).reduce(function(e,t){return e[t]="",e},{});ke(i)&&Te(i)&&(Object.assign(i.style,r),Object.keys(o).forEach(function(e){i.removeAttribute(e)}))})}},requires:["computeStyles"]};function Ne(e){return e.split("-")[0]}var Me=Math.max,Be=Math.min,Ie=Math.round;function Fe(){var e=navigator.userAgentData;return null!=e&&e.brands&&Array.isArray(e.brands)?e.brands.map(function(e){return e.brand+"/"+e.version}).join(" "):navigator.userAgent}function He(){return!/^((?!chrome|android).)*safari/i.test(Fe())}function ze(e,t,n){void 0===t&&(t=!1),void 0===n&&(n=!1);var i=e.getBoundingClientRect(),o=1,r=1;t&&ke(e)&&(o=e.offsetWidth>0&&Ie(i.width)/e.offsetWidth||1,r=e.offsetHeight>0&&Ie(i.height)/e.offsetHeight||1);var s=(je(e)?Se(e):window).visualViewport,a=!He()&&n,c=(i.left+(a&&s?s.offsetLeft:0))/o,l=(i.top+(a&&s?s.offsetTop:0))/r,f=i.width/o,u=i.height/r;return{width:f,height:u,top:l,right:c+f,bottom:l+u,left:c,x:c,y:l}}function We(e){var t=ze(e),n=e.offsetWidth,i=e.offsetHeight;return Math.abs(t.width-n)<=1&&(n=t.width),Math.abs(t.height-i)<=1&&(i=t.height),{x:e.offsetLeft,y:e.offsetTop,width:n,height:i}}function qe(e,t){var n=t.getRootNode&&t.getRootNode();if(e.contains(t))return!0;if(n&&Pe(n)){var i=t;do{if(i&&e.isSameNode(i))return!0;i=i.parentNode||i.host}while(i)}return!1}function Re(e){return Se(e).getComputedStyle(e)}function Ve(e){return["table","td","th"].indexOf(Te(e))>=0}function Ye(e){return((je(e)?e.ownerDocument:e.document)||window.document).documentElement}function Ue(e){return"html"===Te(e)?e:e.assignedSlot||e.parentNode||(Pe(e)?e.host:null)||Ye(e)}function Ke(e){return ke(e)&&"fixed"!==Re(e).position?e.offsetParent:null}function Qe(e){for(var t=Se(e),n=Ke(e);n&&Ve(n)&&"static"===Re(n).position;)n=Ke(n);return n&&("html"===Te(n)||"body"===Te(n)&&"static"===Re(n).position)?t:n||function(e){var t=/firefox/i.test(Fe());if(/Trident/i.test(Fe())&&ke(e)&&"fixed"===Re(e).position)return null;var n=Ue(e);for(Pe(n)&&(n=n.host);ke(n)&&["html","body"].indexOf(Te(n))<0;){var i=Re(n);if("none"!==i.transform||"none"!==i.perspective||"paint"===i.contain||-1!==["transform","perspective"].indexOf(i.willChange)||t&&"filter"===i.willChange||t&&i.filter&&"none"!==i.filter)return n;n=n.parentNode}return null}(e)||t}function Xe(e){return["top","bottom"].indexOf(e)>=0?"x":"y"}function $e(e,t,n){return Me(e,Be(t,n))}function Ge(e){return Object.assign({},{top:0,right:0,bottom:0,left:0},e)}function Je(e,t){return t.reduce(function(t,n){return t[n]=e,t},{})}var Ze={name:"arrow",enabled:!0,phase:"main",fn:function(e){var t,n=e.state,i=e.name,o=e.options,r=n.elements.arrow,s=n.modifiersData.popperOffsets,a=Ne(n.placement),c=Xe(a),l=[ae,se].indexOf(a)>=0?"height":"width";if(r&&s){var f=function(e,t){return Ge("number"!=typeof(e="function"==typeof e?e(Object.assign({},t.rects,{placement:t.placement})):e)?e:Je(e,le))}(o.padding,n),u=We(r),d="y"===c?oe:ae,p="y"===c?re:se,h=n.rects.reference[l]+n.rects.reference[c]-s[c]-n.rects.popper[l],g=s[c]-n.rects.reference[c],m=Qe(r),v=m?"y"===c?m.clientHeight||0:m.clientWidth||0:0,b=h/2-g/2,y=f[d],_=v-u[l]-f[p],w=v/2-u[l]/2+b,E=$e(y,w,_),O=c;n.modifiersData[i]=((t={})[O]=E,t.centerOffset=E-w,t)}},effect:function(e){var t=e.state,n=e.options.element,i=void 0===n?"[data-popper-arrow]":n;null!=i&&("string"!=typeof i||(i=t.elements.popper.querySelector(i)))&&qe(t.elements.popper,i)&&(t.elements.arrow=i)},requires:["popperOffsets"],requiresIfExists:["preventOverflow"]};function et(e){return e.split("-")[1]}var tt={top:"auto",right:"auto",bottom:"auto",left:"auto"};function nt(e){var t,n=e.popper,i=e.popperRect,o=e.placement,r=e.variation,s=e.offsets,a=e.position,c=e.gpuAcceleration,l=e.adaptive,f=e.roundOffsets,u=e.isFixed,d=s.x,p=void 0===d?0:d,h=s.y,g=void 0===h?0:h,m="function"==typeof f?f({x:p,y:g}):{x:p,y:g};p=m.x,g=m.y;var v=s.hasOwnProperty("x"),b=s.hasOwnProperty("y"),y=ae,_=oe,w=window;if(l){var E=Qe(n),O="clientHeight",x="clientWidth";if(E===Se(n)&&"static"!==Re(E=Ye(n)).position&&"absolute"===a&&(O="scrollHeight",x="scrollWidth"),o===oe||(o===ae||o===se)&&r===ue)_=re,g-=(u&&E===w&&w.visualViewport?w.visualViewport.height:E[O])-i.height,g*=c?1:-1;if(o===ae||(o===oe||o===re)&&r===ue)y=se,p-=(u&&E===w&&w.visualViewport?w.visualViewport.width:E[x])-i.width,p*=c?1:-1}var A,C=Object.assign({position:a},l&&tt),L=!0===f?function(e,t){var n=e.x,i=e.y,o=t.devicePixelRatio||1;return{x:Ie(n*o)/o||0,y:Ie(i*o)/o||0}}({x:p,y:g},Se(n)):{x:p,y:g};return p=L.x,g=L.y,c?Object.assign({},C,((A={})[_]=b?"0":"",A[y]=v?"0":"",A.transform=(w.devicePixelRatio||1)<=1?"translate("+p+"px, "+g+"px)":"translate3d("+p+"px, "+g+"px, 0)",A)):Object.assign({},C,((t={})[_]=b?g+"px":"",t[y]=v?p+"px":"",t.transform="",t))}var it={name:"computeStyles",enabled:!0,phase:"beforeWrite",fn:function(e){var t=e.state,n=e.options,i=n.gpuAcceleration,o=void 0===i||i,r=n.adaptive,s=void 0===r||r,a=n.roundOffsets,c=void 0===a||a,l={placement:Ne(t.placement),variation:et(t.placement),popper:t.elements.popper,popperRect:t.rects.popper,gpuAcceleration:o,isFixed:"fixed"===t.options.strategy};null!=t.modifiersData.popperOffsets&&(t.styles.popper=Object.assign({},t.styles.popper,nt(Object.assign({},l,{offsets:t.modifiersData.popperOffsets,position:t.options.strategy,adaptive:s,roundOffsets:c})))),null!=t.modifiersData.arrow&&(t.styles.arrow=Object.assign({},t.styles.arrow,nt(Object.assign({},l,{offsets:t.modifiersData.arrow,position:"absolute",adaptive:!1,roundOffsets:c})))),t.attributes.popper=Object.assign({},t.attributes.popper,{"data-popper-placement":t.placement})},data:{}},ot={passive:!0};var rt={name:"eventListeners",enabled:!0,phase:"write",fn:function(){},effect:function(e){var t=e.state,n=e.instance,i=e.options,o=i.scroll,r=void 0===o||o,s=i.resize,a=void 0===s||s,c=Se(t.elements.popper),l=[].concat(t.scrollParents.reference,t.scrollParents.popper);return r&&l.forEach(function(e){e.addEventListener("scroll",n.update,ot)}),a&&c.addEventListener("resize",n.update,ot),function(){r&&l.forEach(function(e){e.removeEventListener("scroll",n.update,ot)}),a&&c.removeEventListener("resize",n.update,ot)}},data:{}},st={left:"right",right:"left",bottom:"top",top:"bottom"};function at(e){return e.replace(/left|right|bottom|top/g,function(e){return st[e]})}var ct={start:"end",end:"start"};function lt(e){return e.replace(/start|end/g,function(e){return ct[e]})}function ft(e){var t=Se(e);return{scrollLeft:t.pageXOffset,scrollTop:t.pageYOffset}}function ut(e){return ze(Ye(e)).left+ft(e).scrollLeft}function dt(e){var t=Re(e),n=t.overflow,i=t.overflowX,o=t.overflowY;return/auto|scroll|overlay|hidden/.test(n+o+i)}function pt(e){return["html","body","#document"].indexOf(Te(e))>=0?e.ownerDocument.body:ke(e)&&dt(e)?e:pt(Ue(e))}function ht(e,t){var n;void 0===t&&(t=[]);var i=pt(e),o=i===(null==(n=e.ownerDocument)?void 0:n.body),r=Se(i),s=o?[r].concat(r.visualViewport||[],dt(i)?i:[]):i,a=t.concat(s);return o?a:a.concat(ht(Ue(s)))}function gt(e){return Object.assign({},e,{left:e.x,top:e.y,right:e.x+e.width,bottom:e.y+e.height})}function mt(e,t,n){return t===pe?gt(function(e,t){var n=Se(e),i=Ye(e),o=n.visualViewport,r=i.clientWidth,s=i.clientHeight,a=0,c=0;if(o){r=o.width,s=o.height;var l=He();(l||!l&&"fixed"===t)&&(a=o.offsetLeft,c=o.offsetTop)}return{width:r,height:s,x:a+ut(e),y:c}}(e,n)):je(t)?function(e,t){var n=ze(e,!1,"fixed"===t);return n.top=n.top+e.clientTop,n.left=n.left+e.clientLeft,n.bottom=n.top+e.clientHeight,n.right=n.left+e.clientWidth,n.width=e.clientWidth,n.height=e.clientHeight,n.x=n.left,n.y=n.top,n}(t,n):gt(function(e){var t,n=Ye(e),i=ft(e),o=null==(t=e.ownerDocument)?void 0:t.body,r=Me(n.scrollWidth,n.clientWidth,o?o.scrollWidth:0,o?o.clientWidth:0),s=Me(n.scrollHeight,n.clientHeight,o?o.scrollHeight:0,o?o.clientHeight:0),a=-i.scrollLeft+ut(e),c=-i.scrollTop;return"rtl"===Re(o||n).direction&&(a+=Me(n.clientWidth,o?o.clientWidth:0)-r),{width:r,height:s,x:a,y:c}}(Ye(e)))}function vt(e,t,n,i){var o="clippingParents"===t?function(e){var t=ht(Ue(e)),n=["absolute","fixed"].indexOf(Re(e).position)>=0&&ke(e)?Qe(e):e;return je(n)?t.filter(function(e){return je(e)&&qe(e,n)&&"body"!==Te(e)}):[]}(e):[].concat(t),r=[].concat(o,[n]),s=r[0],a=r.reduce(function(t,n){var o=mt(e,n,i);return t.top=Me(o.top,t.top),t.right=Be(o.right,t.right),t.bottom=Be(o.bottom,t.bottom),t.left=Me(o.left,t.left),t},mt(e,s,i));return a.width=a.right-a.left,a.height=a.bottom-a.top,a.x=a.left,a.y=a.top,a}function bt(e){var t,n=e.reference,i=e.element,o=e.placement,r=o?Ne(o):null,s=o?et(o):null,a=n.x+n.width/2-i.width/2,c=n.y+n.height/2-i.height/2;switch(r){case oe:t={x:a,y:n.y-i.height};break;case re:t={x:a,y:n.y+n.height};break;case se:t={x:n.x+n.width,y:c};break;case ae:t={x:n.x-i.width,y:c};break;default:t={x:n.x,y:n.y}}var l=r?Xe(r):null;if(null!=l){var f="y"===l?"height":"width";switch(s){case fe:t[l]=t[l]-(n[f]/2-i[f]/2);break;case ue:t[l]=t[l]+(n[f]/2-i[f]/2)}}return t}function yt(e,t){void 0===t&&(t={});var n=t,i=n.placement,o=void 0===i?e.placement:i,r=n.strategy,s=void 0===r?e.strategy:r,a=n.boundary,c=void 0===a?de:a,l=n.rootBoundary,f=void 0===l?pe:l,u=n.elementContext,d=void 0===u?he:u,p=n.altBoundary,h=void 0!==p&&p,g=n.padding,m=void 0===g?0:g,v=Ge("number"!=typeof m?m:Je(m,le)),b=d===he?ge:he,y=e.rects.popper,_=e.elements[h?b:d],w=vt(je(_)?_:_.contextElement||Ye(e.elements.popper),c,f,s),E=ze(e.elements.reference),O=bt({reference:E,element:y,placement:o}),x=gt(Object.assign({},y,O)),A=d===he?x:E,C={top:w.top-A.top+v.top,bottom:A.bottom-w.bottom+v.bottom,left:w.left-A.left+v.left,right:A.right-w.right+v.right},L=e.modifiersData.offset;if(d===he&&L){var T=L[o];Object.keys(C).forEach(function(e){var t=[se,re].indexOf(e)>=0?1:-1,n=[oe,re].indexOf(e)>=0?"y":"x";C[e]+=T[n]*t})}return C}function _t(e,t){void 0===t&&(t={});var n=t,i=n.placement,o=n.boundary,r=n.rootBoundary,s=n.padding,a=n.flipVariations,c=n.allowedAutoPlacements,l=void 0===c?ve:c,f=et(i),u=f?a?me:me.filter(function(e){return et(e)===f}):le,d=u.filter(function(e){return l.indexOf(e)>=0});0===d.length&&(d=u);var p=d.reduce(function(t,n){return t[n]=yt(e,{placement:n,boundary:o,rootBoundary:r,padding:s})[Ne(n)],t},{});return Object.keys(p).sort(function(e,t){return p[e]-p[t]})}var wt={name:"flip",enabled:!0,phase:"main",fn:function(e){var t=e.state,n=e.options,i=e.name;if(!t.modifiersData[i]._skip){for(var o=n.mainAxis,r=void 0===o||o,s=n.altAxis,a=void 0===s||s,c=n.fallbackPlacements,l=n.padding,f=n.boundary,u=n.rootBoundary,d=n.altBoundary,p=n.flipVariations,h=void 0===p||p,g=n.allowedAutoPlacements,m=t.options.placement,v=Ne(m),b=c||(v===m||!h?[at(m)]:function(e){if(Ne(e)===ce)return[];var t=at(e);return[lt(e),t,lt(t)]}(m)),y=[m].concat(b).reduce(function(e,n){return e.concat(Ne(n)===ce?_t(t,{placement:n,boundary:f,rootBoundary:u,padding:l,flipVariations:h,allowedAutoPlacements:g}):n)},[]),_=t.rects.reference,w=t.rects.popper,E=new Map,O=!0,x=y[0],A=0;A<y.length;A++){var C=y[A],L=Ne(C),T=et(C)===fe,S=[oe,re].indexOf(L)>=0,j=S?"width":"height",k=yt(t,{placement:C,boundary:f,rootBoundary:u,altBoundary:d,padding:l}),P=S?T?se:ae:T?re:oe;_[j]>w[j]&&(P=at(P));var D=at(P),N=[];if(r&&N.push(k[L]<=0),a&&N.push(k[P]<=0,k[D]<=0),N.every(function(e){return e})){x=C,O=!1;break}E.set(C,N)}if(O)for(var M=function(e){var t=y.find(function(t){var n=E.get(t);if(n)return n.slice(0,e).every(function(e){return e})});if(t)return x=t,"break"},B=h?3:1;B>0;B--){if("break"===M(B))break}t.placement!==x&&(t.modifiersData[i]._skip=!0,t.placement=x,t.reset=!0)}},requiresIfExists:["offset"],data:{_skip:!1}};function Et(e,t,n){return void 0===n&&(n={x:0,y:0}),{top:e.top-t.height-n.y,right:e.right-t.width+n.x,bottom:e.bottom-t.height+n.y,left:e.left-t.width-n.x}}function Ot(e){return[oe,se,re,ae].some(function(t){return e[t]>=0})}var xt={name:"hide",enabled:!0,phase:"main",requiresIfExists:["preventOverflow"],fn:function(e){var t=e.state,n=e.name,i=t.rects.reference,o=t.rects.popper,r=t.modifiersData.preventOverflow,s=yt(t,{elementContext:"reference"}),a=yt(t,{altBoundary:!0}),c=Et(s,i),l=Et(a,o,r),f=Ot(c),u=Ot(l);t.modifiersData[n]={referenceClippingOffsets:c,popperEscapeOffsets:l,isReferenceHidden:f,hasPopperEscaped:u},t.attributes.popper=Object.assign({},t.attributes.popper,{"data-popper-reference-hidden":f,"data-popper-escaped":u})}};var At={name:"offset",enabled:!0,phase:"main",requires:["popperOffsets"],fn:function(e){var t=e.state,n=e.options,i=e.name,o=n.offset,r=void 0===o?[0,0]:o,s=ve.reduce(function(e,n){return e[n]=function(e,t,n){var i=Ne(e),o=[ae,oe].indexOf(i)>=0?-1:1,r="function"==typeof n?n(Object.assign({},t,{placement:e})):n,s=r[0],a=r[1];return s=s||0,a=(a||0)*o,[ae,se].indexOf(i)>=0?{x:a,y:s}:{x:s,y:a}}(n,t.rects,r),e},{}),a=s[t.placement],c=a.x,l=a.y;null!=t.modifiersData.popperOffsets&&(t.modifiersData.popperOffsets.x+=c,t.modifiersData.popperOffsets.y+=l),t.modifiersData[i]=s}};var Ct={name:"popperOffsets",enabled:!0,phase:"read",fn:function(e){var t=e.state,n=e.name;t.modifiersData[n]=bt({reference:t.rects.reference,element:t.rects.popper,placement:t.placement})},data:{}};var Lt={name:"preventOverflow",enabled:!0,phase:"main",fn:function(e){var t=e.state,n=e.options,i=e.name,o=n.mainAxis,r=void 0===o||o,s=n.altAxis,a=void 0!==s&&s,c=n.boundary,l=n.rootBoundary,f=n.altBoundary,u=n.padding,d=n.tether,p=void 0===d||d,h=n.tetherOffset,g=void 0===h?0:h,m=yt(t,{boundary:c,rootBoundary:l,padding:u,altBoundary:f}),v=Ne(t.placement),b=et(t.placement),y=!b,_=Xe(v),w="x"===_?"y":"x",E=t.modifiersData.popperOffsets,O=t.rects.reference,x=t.rects.popper,A="function"==typeof g?g(Object.assign({},t.rects,{placement:t.placement})):g,C="number"==typeof A?{mainAxis:A,altAxis:A}:Object.assign({mainAxis:0,altAxis:0},A),L=t.modifiersData.offset?t.modifiersData.offset[t.placement]:null,T={x:0,y:0};if(E){if(r){var S,j="y"===_?oe:ae,k="y"===_?re:se,P="y"===_?"height":"width",D=E[_],N=D+m[j],M=D-m[k],B=p?-x[P]/2:0,I=b===fe?O[P]:x[P],F=b===fe?-x[P]:-O[P],H=t.elements.arrow,z=p&&H?We(H):{width:0,height:0},W=t.modifiersData["arrow#persistent"]?t.modifiersData["arrow#persistent"].padding:{top:0,right:0,bottom:0,left:0},q=W[j],R=W[k],V=$e(0,O[P],z[P]),Y=y?O[P]/2-B-V-q-C.mainAxis:I-V-q-C.mainAxis,U=y?-O[P]/2+B+V+R+C.mainAxis:F+V+R+C.mainAxis,K=t.elements.arrow&&Qe(t.elements.arrow),Q=K?"y"===_?K.clientTop||0:K.clientLeft||0:0,X=null!=(S=null==L?void 0:L[_])?S:0,$=D+U-X,G=$e(p?Be(N,D+Y-X-Q):N,D,p?Me(M,$):M);E[_]=G,T[_]=G-D}if(a){var J,Z="x"===_?oe:ae,ee="x"===_?re:se,te=E[w],ne="y"===w?"height":"width",ie=te+m[Z],ce=te-m[ee],le=-1!==[oe,ae].indexOf(v),ue=null!=(J=null==L?void 0:L[w])?J:0,de=le?ie:te-O[ne]-x[ne]-ue+C.altAxis,pe=le?te+O[ne]+x[ne]-ue-C.altAxis:ce,he=p&&le?function(e,t,n){var i=$e(e,t,n);return i>n?n:i}(de,te,pe):$e(p?de:ie,te,p?pe:ce);E[w]=he,T[w]=he-te}t.modifiersData[i]=T}},requiresIfExists:["offset"]};function Tt(e,t,n){void 0===n&&(n=!1);var i,o,r=ke(t),s=ke(t)&&function(e){var t=e.getBoundingClientRect(),n=Ie(t.width)/e.offsetWidth||1,i=Ie(t.height)/e.offsetHeight||1;return 1!==n||1!==i}(t),a=Ye(t),c=ze(e,s,n),l={scrollLeft:0,scrollTop:0},f={x:0,y:0};return(r||!r&&!n)&&(("body"!==Te(t)||dt(a))&&(l=(i=t)!==Se(i)&&ke(i)?{scrollLeft:(o=i).scrollLeft,scrollTop:o.scrollTop}:ft(i)),ke(t)?((f=ze(t,!0)).x+=t.clientLeft,f.y+=t.clientTop):a&&(f.x=ut(a))),{x:c.left+l.scrollLeft-f.x,y:c.top+l.scrollTop-f.y,width:c.width,height:c.height}}function St(e){var t=new Map,n=new Set,i=[];function o(e){n.add(e.name),[].concat(e.requires||[],e.requiresIfExists||[]).forEach(function(e){if(!n.has(e)){var i=t.get(e);i&&o(i)}}),i.push(e)}return e.forEach(function(e){t.set(e.name,e)}),e.forEach(function(e){n.has(e.name)||o(e)}),i}var jt={placement:"bottom",modifiers:[],strategy:"absolute"};function kt(){for(var e=arguments.length,t=new Array(e),n=0;n<e;n++)t[n]=arguments[n];return!t.some(function(e){return!(e&&"function"==typeof e.getBoundingClientRect)})}function Pt(e){void 0===e&&(e={});var t=e,n=t.defaultModifiers,i=void 0===n?[]:n,o=t.defaultOptions,r=void 0===o?jt:o;return function(e,t,n){void 0===n&&(n=r);var o,s,a={placement:"bottom",orderedModifiers:[],options:Object.assign({},jt,r),modifiersData:{},elements:{reference:e,popper:t},attributes:{},styles:{}},c=[],l=!1,f={state:a,setOptions:function(n){var o="function"==typeof n?n(a.options):n;u(),a.options=Object.assign({},r,a.options,o),a.scrollParents={reference:je(e)?ht(e):e.contextElement?ht(e.contextElement):[],popper:ht(t)};var s,l,d=function(e){var t=St(e);return Le.reduce(function(e,n){return e.concat(t.filter(function(e){return e.phase===n}))},[])}((s=[].concat(i,a.options.modifiers),l=s.reduce(function(e,t){var n=e[t.name];return e[t.name]=n?Object.assign({},n,t,{options:Object.assign({},n.options,t.options),data:Object.assign({},n.data,t.data)}):t,e},{}),Object.keys(l).map(function(e){return l[e]})));return a.orderedModifiers=d.filter(function(e){return e.enabled}),a.orderedModifiers.forEach(function(e){var t=e.name,n=e.options,i=void 0===n?{}:n,o=e.effect;if("function"==typeof o){var r=o({state:a,name:t,instance:f,options:i}),s=function(){};c.push(r||s)}}),f.update()},forceUpdate:function(){if(!l){var e=a.elements,t=e.reference,n=e.popper;if(kt(t,n)){a.rects={reference:Tt(t,Qe(n),"fixed"===a.options.strategy),popper:We(n)},a.reset=!1,a.placement=a.options.placement,a.orderedModifiers.forEach(function(e){return a.modifiersData[e.name]=Object.assign({},e.data)});for(var i=0;i<a.orderedModifiers.length;i++)if(!0!==a.reset){var o=a.orderedModifiers[i],r=o.fn,s=o.options,c=void 0===s?{}:s,u=o.name;"function"==typeof r&&(a=r({state:a,options:c,name:u,instance:f})||a)}else a.reset=!1,i=-1}}},update:(o=function(){return new Promise(function(e){f.forceUpdate(),e(a)})},function(){return s||(s=new Promise(function(e){Promise.resolve().then(function(){s=void 0,e(o())})})),s}),destroy:function(){u(),l=!0}};if(!kt(e,t))return f;function u(){c.forEach(function(e){return e()}),c=[]}return f.setOptions(n).then(function(e){!l&&n.onFirstUpdate&&n.onFirstUpdate(e)}),f}}var Dt=Pt(),Nt=Pt({defaultModifiers:[rt,Ct,it,De]}),Mt=Pt({defaultModifiers:[rt,Ct,it,De,At,wt,Lt,Ze,xt]}),Bt=Object.freeze({__proto__:null,afterMain:Oe,afterRead:_e,afterWrite:Ce,applyStyles:De,arrow:Ze,auto:ce,basePlacements:le,beforeMain:we,beforeRead:be,beforeWrite:xe,bottom:re,clippingParents:de,computeStyles:it,createPopper:Mt,createPopperBase:Dt,createPopperLite:Nt,detectOverflow:yt,end:ue,eventListeners:rt,flip:wt,hide:xt,left:ae,main:Ee,modifierPhases:Le,offset:At,placements:ve,popper:he,popperGenerator:Pt,popperOffsets:Ct,preventOverflow:Lt,read:ye,reference:ge,right:se,start:fe,top:oe,variationPlacements:me,viewport:pe,write:Ae});const It={"*":["class","dir","id","lang","role",/^aria-[\w-]*$/i],a:["target","href","title","rel"],area:[],b:[],br:[],col:[],code:[],dd:[],div:[],dl:[],dt:[],em:[],hr:[],h1:[],h2:[],h3:[],h4:[],h5:[],h6:[],i:[],img:["src","srcset","alt","title","width","height"],li:[],ol:[],p:[],pre:[],s:[],small:[],span:[],sub:[],sup:[],strong:[],u:[],ul:[]},Ft=new Set(["background","cite","href","itemtype","longdesc","poster","src","xlink:href"]),Ht=/^(?!javascript:)(?:[a-z0-9+.-]+:|[^&:/?#]*(?:[/?#]|$))/i,zt=(e,t)=>{const n=e.nodeName.toLowerCase();return t.includes(n)?!Ft.has(n)||Boolean(Ht.test(e.nodeValue)):t.filter(e=>e instanceof RegExp).some(e=>e.test(n))};const Wt={allowList:It,content:{},extraClass:"",html:!1,sanitize:!0,sanitizeFn:null,template:"<div></div>"},qt={allowList:"object",content:"object",extraClass:"(string|function)",html:"boolean",sanitize:"boolean",sanitizeFn:"(null|function)",template:"string"},Rt={entry:"(string|element|function|null)",selector:"(string|element)"};class Vt extends H{constructor(e){super(),this._config=this._getConfig(e)}static get Default(){return Wt}static get DefaultType(){return qt}static get NAME(){return"TemplateFactory"}getContent(){return Object.values(this._config.content).map(e=>this._resolvePossibleFunction(e)).filter(Boolean)}hasContent(){return this.getContent().length>0}changeContent(e){return this._checkContent(e),this._config.content=M(M({},this._config.content),e),this}toHtml(){const e=document.createElement("div");e.innerHTML=this._maybeSanitize(this._config.template);for(const[t,n]of Object.entries(this._config.content))this._setContent(e,n,t);const t=e.children[0],n=this._resolvePossibleFunction(this._config.extraClass);return n&&t.classList.add(...n.split(" ")),t}_typeCheckConfig(e){super._typeCheckConfig(e),this._checkContent(e.content)}_checkContent(e){for(const[t,n]of Object.entries(e))super._typeCheckConfig({selector:t,entry:n},Rt)}_setContent(e,t,n){const i=q.findOne(n,e);i&&((t=this._resolvePossibleFunction(t))?r(t)?this._putElementInTemplate(s(t),i):this._config.html?i.innerHTML=this._maybeSanitize(t):i.textContent=t:i.remove())}_maybeSanitize(e){return this._config.sanitize?function(e,t,n){if(!e.length)return e;if(n&&"function"==typeof n)return n(e);const i=(new window.DOMParser).parseFromString(e,"text/html"),o=[].concat(...i.body.querySelectorAll("*"));for(const e of o){const n=e.nodeName.toLowerCase();if(!Object.keys(t).includes(n)){e.remove();continue}const i=[].concat(...e.attributes),o=[].concat(t["*"]||[],t[n]||[]);for(const t of i)zt(t,o)||e.removeAttribute(t.nodeName)}return i.body.innerHTML}(e,this._config.allowList,this._config.sanitizeFn):e}_resolvePossibleFunction(e){return p(e,[void 0,this])}_putElementInTemplate(e,t){if(this._config.html)return t.innerHTML="",void t.append(e);t.textContent=e.textContent}}const Yt=new Set(["sanitize","allowList","sanitizeFn"]),Ut="fade",Kt="show",Qt=".tooltip-inner",Xt=".".concat("modal"),$t="hide.bs.modal",Gt="hover",Jt="focus",Zt="click",en={AUTO:"auto",TOP:"top",RIGHT:u()?"left":"right",BOTTOM:"bottom",LEFT:u()?"right":"left"},tn={allowList:It,animation:!0,boundary:"clippingParents",container:!1,customClass:"",delay:0,fallbackPlacements:["top","right","bottom","left"],html:!1,offset:[0,6],placement:"top",popperConfig:null,sanitize:!0,sanitizeFn:null,selector:!1,template:'<div class="tooltip" role="tooltip"><div class="tooltip-arrow"></div><div class="tooltip-inner"></div></div>',title:"",trigger:"hover focus"},nn={allowList:"object",animation:"boolean",boundary:"(string|element)",container:"(string|element|boolean)",customClass:"(string|function)",delay:"(number|object)",fallbackPlacements:"array",html:"boolean",offset:"(array|string|function)",placement:"(string|function)",popperConfig:"(null|object|function)",sanitize:"boolean",sanitizeFn:"(null|function)",selector:"(string|boolean)",template:"string",title:"(string|element|function)",trigger:"string"};class on extends z{constructor(e,t){if(void 0===Bt)throw new TypeError("Bootstrap's tooltips require Popper (https://popper.js.org/docs/v2/)");super(e,t),this._isEnabled=!0,this._timeout=0,this._isHovered=null,this._activeTrigger={},this._popper=null,this._templateFactory=null,this._newContent=null,this.tip=null,this._setListeners(),this._config.selector||this._fixTitle()}static get Default(){return tn}static get DefaultType(){return nn}static get NAME(){return"tooltip"}enable(){this._isEnabled=!0}disable(){this._isEnabled=!1}toggleEnabled(){this._isEnabled=!this._isEnabled}toggle(){this._isEnabled&&(this._isShown()?this._leave():this._enter())}dispose(){clearTimeout(this._timeout),j.off(this._element.closest(Xt),$t,this._hideModalHandler),this._element.getAttribute("data-bs-original-title")&&this._element.setAttribute("title",this._element.getAttribute("data-bs-original-title")),this._disposePopper(),super.dispose()}show(){if("none"===this._element.style.display)throw new Error("Please use show on visible elements");if(!this._isWithContent()||!this._isEnabled)return;const e=j.trigger(this._element,this.constructor.eventName("show")),t=(a(this._element)||this._element.ownerDocument.documentElement).contains(this._element);if(e.defaultPrevented||!t)return;this._disposePopper();const n=this._getTipElement();this._element.setAttribute("aria-describedby",n.getAttribute("id"));const{container:i}=this._config;if(this._element.ownerDocument.documentElement.contains(this.tip)||(i.append(n),j.trigger(this._element,this.constructor.eventName("inserted"))),this._popper=this._createPopper(n),n.classList.add(Kt),"ontouchstart"in document.documentElement)for(const e of[].concat(...document.body.children))j.on(e,"mouseover",c);this._queueCallback(()=>{j.trigger(this._element,this.constructor.eventName("shown")),!1===this._isHovered&&this._leave(),this._isHovered=!1},this.tip,this._isAnimated())}hide(){if(!this._isShown())return;if(j.trigger(this._element,this.constructor.eventName("hide")).defaultPrevented)return;if(this._getTipElement().classList.remove(Kt),"ontouchstart"in document.documentElement)for(const e of[].concat(...document.body.children))j.off(e,"mouseover",c);this._activeTrigger[Zt]=!1,this._activeTrigger[Jt]=!1,this._activeTrigger[Gt]=!1,this._isHovered=null;this._queueCallback(()=>{this._isWithActiveTrigger()||(this._isHovered||this._disposePopper(),this._element.removeAttribute("aria-describedby"),j.trigger(this._element,this.constructor.eventName("hidden")))},this.tip,this._isAnimated())}update(){this._popper&&this._popper.update()}_isWithContent(){return Boolean(this._getTitle())}_getTipElement(){return this.tip||(this.tip=this._createTipElement(this._newContent||this._getContentForTemplate())),this.tip}_createTipElement(e){const t=this._getTemplateFactory(e).toHtml();if(!t)return null;t.classList.remove(Ut,Kt),t.classList.add("bs-".concat(this.constructor.NAME,"-auto"));const n=(e=>{do{e+=Math.floor(1e6*Math.random())}while(document.getElementById(e));return e})(this.constructor.NAME).toString();return t.setAttribute("id",n),this._isAnimated()&&t.classList.add(Ut),t}setContent(e){this._newContent=e,this._isShown()&&(this._disposePopper(),this.show())}_getTemplateFactory(e){return this._templateFactory?this._templateFactory.changeContent(e):this._templateFactory=new Vt(M(M({},this._config),{},{content:e,extraClass:this._resolvePossibleFunction(this._config.customClass)})),this._templateFactory}_getContentForTemplate(){return{[Qt]:this._getTitle()}}_getTitle(){return this._resolvePossibleFunction(this._config.title)||this._element.getAttribute("data-bs-original-title")}_initializeOnDelegatedTarget(e){return this.constructor.getOrCreateInstance(e.delegateTarget,this._getDelegateConfig())}_isAnimated(){return this._config.animation||this.tip&&this.tip.classList.contains(Ut)}_isShown(){return this.tip&&this.tip.classList.contains(Kt)}_createPopper(e){const t=p(this._config.placement,[this,e,this._element]),n=en[t.toUpperCase()];return Mt(this._element,e,this._getPopperConfig(n))}_getOffset(){const{offset:e}=this._config;return"string"==typeof e?e.split(",").map(e=>Number.parseInt(e,10)):"function"==typeof e?t=>e(t,this._element):e}_resolvePossibleFunction(e){return p(e,[this._element,this._element])}_getPopperConfig(e){const t={placement:e,modifiers:[{name:"flip",options:{fallbackPlacements:this._config.fallbackPlacements}},{name:"offset",options:{offset:this._getOffset()}},{name:"preventOverflow",options:{boundary:this._config.boundary}},{name:"arrow",options:{element:".".concat(this.constructor.NAME,"-arrow")}},{name:"preSetPlacement",enabled:!0,phase:"beforeMain",fn:e=>{this._getTipElement().setAttribute("data-popper-placement",e.state.placement)}}]};return M(M({},t),p(this._config.popperConfig,[void 0,t]))}_setListeners(){const e=this._config.trigger.split(" ");for(const t of e)if("click"===t)j.on(this._element,this.constructor.eventName("click"),this._config.selector,e=>{const t=this._initializeOnDelegatedTarget(e);t._activeTrigger[Zt]=!(t._isShown()&&t._activeTrigger[Zt]),t.toggle()});else if("manual"!==t){const e=t===Gt?this.constructor.eventName("mouseenter"):this.constructor.eventName("focusin"),n=t===Gt?this.constructor.eventName("mouseleave"):this.constructor.eventName("focusout");j.on(this._element,e,this._config.selector,e=>{const t=this._initializeOnDelegatedTarget(e);t._activeTrigger["focusin"===e.type?Jt:Gt]=!0,t._enter()}),j.on(this._element,n,this._config.selector,e=>{const t=this._initializeOnDelegatedTarget(e);t._activeTrigger["focusout"===e.type?Jt:Gt]=t._element.contains(e.relatedTarget),t._leave()})}this._hideModalHandler=()=>{this._element&&this.hide()},j.on(this._element.closest(Xt),$t,this._hideModalHandler)}_fixTitle(){const e=this._element.getAttribute("title");e&&(this._element.getAttribute("aria-label")||this._element.textContent.trim()||this._element.setAttribute("aria-label",e),this._element.setAttribute("data-bs-original-title",e),this._element.removeAttribute("title"))}_enter(){this._isShown()||this._isHovered?this._isHovered=!0:(this._isHovered=!0,this._setTimeout(()=>{this._isHovered&&this.show()},this._config.delay.show))}_leave(){this._isWithActiveTrigger()||(this._isHovered=!1,this._setTimeout(()=>{this._isHovered||this.hide()},this._config.delay.hide))}_setTimeout(e,t){clearTimeout(this._timeout),this._timeout=setTimeout(e,t)}_isWithActiveTrigger(){return Object.values(this._activeTrigger).includes(!0)}_getConfig(e){const t=F.getDataAttributes(this._element);for(const e of Object.keys(t))Yt.has(e)&&delete t[e];return e=M(M({},t),"object"==typeof e&&e?e:{}),e=this._mergeConfigObj(e),e=this._configAfterMerge(e),this._typeCheckConfig(e),e}_configAfterMerge(e){return e.container=!1===e.container?document.body:s(e.container),"number"==typeof e.delay&&(e.delay={show:e.delay,hide:e.delay}),"number"==typeof e.title&&(e.title=e.title.toString()),"number"==typeof e.content&&(e.content=e.content.toString()),e}_getDelegateConfig(){const e={};for(const[t,n]of Object.entries(this._config))this.constructor.Default[t]!==n&&(e[t]=n);return e.selector=!1,e.trigger="manual",e}_disposePopper(){this._popper&&(this._popper.destroy(),this._popper=null),this.tip&&(this.tip.remove(),this.tip=null)}static jQueryInterface(e){return this.each(function(){const t=on.getOrCreateInstance(this,e);if("string"==typeof e){if(void 0===t[e])throw new TypeError('No method named "'.concat(e,'"'));t[e]()}})}}var rn;d(on);const sn=document.getElementById("toc-bar"),an=document.getElementById("toc-solo-trigger"),cn=document.getElementsByClassName("toc-trigger"),ln=document.getElementById("toc-popup"),fn=document.getElementById("toc-popup-close"),un="overflow-hidden",dn="closing";class pn{static initBar(){new IntersectionObserver(e=>{e.forEach(e=>{sn.classList.toggle("invisible",e.isIntersecting)})},{rootMargin:"-".concat(P(pn,this,gn)._,"px 0px 0px 0px")}).observe(an),hn._=P(pn,this,!1)}static listenAnchors(){[...document.getElementsByClassName("toc-link")].forEach(e=>{e.onclick=()=>this.hidePopup()})}static refresh(){P(pn,this,hn)._&&this.initComponents(),tocbot.refresh(this.options),this.listenAnchors()}static get popupOpened(){return ln.open}static showPopup(){this.lockScroll(!0),ln.showModal();ln.querySelector("li.is-active-li").scrollIntoView({block:"center"})}static hidePopup(){ln.toggleAttribute(dn),ln.addEventListener("animationend",()=>{ln.toggleAttribute(dn),ln.close()},{once:!0}),this.lockScroll(!1)}static lockScroll(e){document.documentElement.classList.toggle(un,e),document.body.classList.toggle(un,e)}static clickBackdrop(e){if(ln.hasAttribute(dn))return;const t=e.target.getBoundingClientRect();(e.clientX<t.left||e.clientX>t.right||e.clientY<t.top||e.clientY>t.bottom)&&this.hidePopup()}static initComponents(){this.initBar(),[...cn].forEach(e=>{e.onclick=()=>this.showPopup()}),ln.onclick=e=>this.clickBackdrop(e),fn.onclick=()=>this.hidePopup(),ln.oncancel=e=>{e.preventDefault(),this.hidePopup()}}static init(){tocbot.init(this.options),this.listenAnchors(),this.initComponents()}}var hn={_:!0},gn={_:48};D(pn,"options",{tocSelector:"#toc-popup-content",contentSelector:".content",ignoreSelector:"[data-toc-skip]",headingSelector:"h2, h3, h4",orderedList:!1,scrollSmooth:!1,collapseDepth:4,headingsOffset:P(rn=pn,rn,gn)._});D(class{static refresh(){tocbot.refresh(this.options)}static init(){tocbot.init(this.options)}},"options",{tocSelector:"#toc",contentSelector:".content",ignoreSelector:"[data-toc-skip]",headingSelector:"h2, h3, h4",orderedList:!1,scrollSmooth:!1,headingsOffset:32}),matchMedia("(min-width: 1200px)"),Theme.getThemeMapper("default","dark");const mn=document.getElementById("mode-toggle");const vn=document.getElementById("sidebar"),bn=document.getElementById("sidebar-trigger"),yn=document.getElementById("mask");class _n{static toggle(){wn._=P(_n,this,!P(_n,this,wn)._),document.body.toggleAttribute("sidebar-display",P(_n,this,wn)._),vn.classList.toggle("z-2",P(_n,this,wn)._),yn.classList.toggle("d-none",!P(_n,this,wn)._)}}var wn={_:!1};const En=document.getElementById("sidebar-trigger"),On=document.getElementById("search-trigger"),xn=document.getElementById("search-cancel"),An=document.querySelectorAll("#main-wrapper>.container>.row"),Cn=document.getElementById("topbar-title"),Ln=document.getElementById("search"),Tn=document.getElementById("search-result-wrapper"),Sn=document.getElementById("search-results"),jn=document.getElementById("search-input"),kn=document.getElementById("search-hints"),Pn="d-block",Dn="d-none",Nn="input-focus",Mn="d-flex";class Bn{static on(){En.classList.add(Dn),Cn.classList.add(Dn),On.classList.add(Dn),Ln.classList.add(Mn),xn.classList.add(Pn)}static off(){xn.classList.remove(Pn),Ln.classList.remove(Mn),En.classList.remove(Dn),Cn.classList.remove(Dn),On.classList.remove(Dn)}}class In{static on(){this.resultVisible||(Tn.classList.remove(Dn),An.forEach(e=>{e.classList.add(Dn)}),this.resultVisible=!0)}static off(){this.resultVisible&&(Sn.innerHTML="",kn.classList.contains(Dn)&&kn.classList.remove(Dn),Tn.classList.add(Dn),An.forEach(e=>{e.classList.remove(Dn)}),jn.textContent="",this.resultVisible=!1)}}function Fn(){return xn.classList.contains(Pn)}D(In,"resultVisible",!1),mn&&mn.addEventListener("click",()=>{Theme.flip()}),function(){const e=document.getElementById("back-to-top");window.addEventListener("scroll",()=>{window.scrollY>50?e.classList.add("show"):e.classList.remove("show")}),e.addEventListener("click",()=>{window.scrollTo({top:0})})}(),[...document.querySelectorAll('[data-bs-toggle="tooltip"]')].map(e=>new on(e)),bn.onclick=yn.onclick=()=>_n.toggle(),On.addEventListener("click",()=>{Bn.on(),In.on(),jn.focus()}),xn.addEventListener("click",()=>{Bn.off(),In.off()}),jn.addEventListener("focus",()=>{Ln.classList.add(Nn)}),jn.addEventListener("focusout",()=>{Ln.classList.remove(Nn)}),jn.addEventListener("input",()=>{""===jn.value?Fn()?kn.classList.remove(Dn):In.off():(In.on(),Fn()&&kn.classList.add(Dn))}),[...ie].forEach(e=>{const t="h_"+e.id.substring(2),n=document.getElementById(t);e.addEventListener("hide.bs.collapse",()=>{n&&(n.querySelector(".far.fa-folder-open").className="far fa-folder fa-fw",n.querySelector(".fas.fa-angle-down").classList.add("rotate"),n.classList.remove("hide-border-bottom"))}),e.addEventListener("show.bs.collapse",()=>{n&&(n.querySelector(".far.fa-folder").className="far fa-folder-open fa-fw",n.querySelector(".fas.fa-angle-down").classList.remove("rotate"),n.classList.add("hide-border-bottom"))})})}();
@@ -1,4 +0,0 @@
-/*!
- * jekyll-theme-chirpy v7.3.1 | © 2019 Cotes Chung | MIT Licensed | https://github.com/cotes2020/jekyll-theme-chirpy/
- */
-!function(){"use strict";const t=new Map;var e={set(e,n,i){t.has(e)||t.set(e,new Map);const o=t.get(e);o.has(n)||0===o.size?o.set(n,i):console.error("Bootstrap doesn't allow more than one instance per element. Bound instance: ".concat(Array.from(o.keys())[0],"."))},get:(e,n)=>t.has(e)&&t.get(e).get(n)||null,remove(e,n){if(!t.has(e))return;const i=t.get(e);i.delete(n),0===i.size&&t.delete(e)}};const n="transitionend",i=t=>(t&&window.CSS&&window.CSS.escape&&(t=t.replace(/#([^\s"#']+)/g,(t,e)=>"#".concat(CSS.escape(e)))),t),o=t=>null==t?"".concat(t):Object.prototype.toString.call(t).match(/\s([a-z]+)/i)[1].toLowerCase(),r=t=>!(!t||"object"!=typeof t)&&(void 0!==t.jquery&&(t=t[0]),void 0!==t.nodeType),s=t=>r(t)?t.jquery?t[0]:t:"string"==typeof t&&t.length>0?document.querySelector(i(t)):null,a=t=>{if(!document.documentElement.attachShadow)return null;if("function"==typeof t.getRootNode){const e=t.getRootNode();return e instanceof ShadowRoot?e:null}return t instanceof ShadowRoot?t:t.parentNode?a(t.parentNode):null},c=()=>{},l=()=>window.jQuery&&!document.body.hasAttribute("data-bs-no-jquery")?window.jQuery:null,u=[],f=()=>"rtl"===document.documentElement.dir,d=t=>{var e;e=()=>{const e=l();if(e){const n=t.NAME,i=e.fn[n];e.fn[n]=t.jQueryInterface,e.fn[n].Constructor=t,e.fn[n].noConflict=()=>(e.fn[n]=i,t.jQueryInterface)}},"loading"===document.readyState?(u.length||document.addEventListener("DOMContentLoaded",()=>{for(const t of u)t()}),u.push(e)):e()},p=function(t){let e=arguments.length>1&&void 0!==arguments[1]?arguments[1]:[],n=arguments.length>2&&void 0!==arguments[2]?arguments[2]:t;return"function"==typeof t?t.call(...e):n},h=function(t,e){if(!(!(arguments.length>2&&void 0!==arguments[2])||arguments[2]))return void p(t);const i=(t=>{if(!t)return 0;let{transitionDuration:e,transitionDelay:n}=window.getComputedStyle(t);const i=Number.parseFloat(e),o=Number.parseFloat(n);return i||o?(e=e.split(",")[0],n=n.split(",")[0],1e3*(Number.parseFloat(e)+Number.parseFloat(n))):0})(e)+5;let o=!1;const r=i=>{let{target:s}=i;s===e&&(o=!0,e.removeEventListener(n,r),p(t))};e.addEventListener(n,r),setTimeout(()=>{o||e.dispatchEvent(new Event(n))},i)},m=/[^.]*(?=\..*)\.|.*/,g=/\..*/,v=/::\d+$/,b={};let y=1;const _={mouseenter:"mouseover",mouseleave:"mouseout"},w=new Set(["click","dblclick","mouseup","mousedown","contextmenu","mousewheel","DOMMouseScroll","mouseover","mouseout","mousemove","selectstart","selectend","keydown","keypress","keyup","orientationchange","touchstart","touchmove","touchend","touchcancel","pointerdown","pointermove","pointerup","pointerleave","pointercancel","gesturestart","gesturechange","gestureend","focus","blur","change","reset","select","submit","focusin","focusout","load","unload","beforeunload","resize","move","DOMContentLoaded","readystatechange","error","abort","scroll"]);function E(t,e){return e&&"".concat(e,"::").concat(y++)||t.uidEvent||y++}function O(t){const e=E(t);return t.uidEvent=e,b[e]=b[e]||{},b[e]}function x(t,e){let n=arguments.length>2&&void 0!==arguments[2]?arguments[2]:null;return Object.values(t).find(t=>t.callable===e&&t.delegationSelector===n)}function A(t,e,n){const i="string"==typeof e,o=i?n:e||n;let r=j(t);return w.has(r)||(r=t),[i,o,r]}function C(t,e,n,i,o){if("string"!=typeof e||!t)return;let[r,s,a]=A(e,n,i);if(e in _){const t=t=>function(e){if(!e.relatedTarget||e.relatedTarget!==e.delegateTarget&&!e.delegateTarget.contains(e.relatedTarget))return t.call(this,e)};s=t(s)}const c=O(t),l=c[a]||(c[a]={}),u=x(l,s,r?n:null);if(u)return void(u.oneOff=u.oneOff&&o);const f=E(s,e.replace(m,"")),d=r?function(t,e,n){return function i(o){const r=t.querySelectorAll(e);for(let{target:s}=o;s&&s!==this;s=s.parentNode)for(const a of r)if(a===s)return D(o,{delegateTarget:s}),i.oneOff&&S.off(t,o.type,e,n),n.apply(s,[o])}}(t,n,s):function(t,e){return function n(i){return D(i,{delegateTarget:t}),n.oneOff&&S.off(t,i.type,e),e.apply(t,[i])}}(t,s);d.delegationSelector=r?n:null,d.callable=s,d.oneOff=o,d.uidEvent=f,l[f]=d,t.addEventListener(a,d,r)}function T(t,e,n,i,o){const r=x(e[n],i,o);r&&(t.removeEventListener(n,r,Boolean(o)),delete e[n][r.uidEvent])}function L(t,e,n,i){const o=e[n]||{};for(const[r,s]of Object.entries(o))r.includes(i)&&T(t,e,n,s.callable,s.delegationSelector)}function j(t){return t=t.replace(g,""),_[t]||t}const S={on(t,e,n,i){C(t,e,n,i,!1)},one(t,e,n,i){C(t,e,n,i,!0)},off(t,e,n,i){if("string"!=typeof e||!t)return;const[o,r,s]=A(e,n,i),a=s!==e,c=O(t),l=c[s]||{},u=e.startsWith(".");if(void 0===r){if(u)for(const n of Object.keys(c))L(t,c,n,e.slice(1));for(const[n,i]of Object.entries(l)){const o=n.replace(v,"");a&&!e.includes(o)||T(t,c,s,i.callable,i.delegationSelector)}}else{if(!Object.keys(l).length)return;T(t,c,s,r,o?n:null)}},trigger(t,e,n){if("string"!=typeof e||!t)return null;const i=l();let o=null,r=!0,s=!0,a=!1;e!==j(e)&&i&&(o=i.Event(e,n),i(t).trigger(o),r=!o.isPropagationStopped(),s=!o.isImmediatePropagationStopped(),a=o.isDefaultPrevented());const c=D(new Event(e,{bubbles:r,cancelable:!0}),n);return a&&c.preventDefault(),s&&t.dispatchEvent(c),c.defaultPrevented&&o&&o.preventDefault(),c}};function D(t){let e=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{};for(const[n,i]of Object.entries(e))try{t[n]=i}catch(e){Object.defineProperty(t,n,{configurable:!0,get:()=>i})}return t}function k(t,e,n){if("function"==typeof t?t===e:t.has(e))return arguments.length<3?e:n;throw new TypeError("Private element is not present on this object")}function P(t,e,n){return(e=function(t){var e=function(t,e){if("object"!=typeof t||!t)return t;var n=t[Symbol.toPrimitive];if(void 0!==n){var i=n.call(t,e);if("object"!=typeof i)return i;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===e?String:Number)(t)}(t,"string");return"symbol"==typeof e?e:e+""}(e))in t?Object.defineProperty(t,e,{value:n,enumerable:!0,configurable:!0,writable:!0}):t[e]=n,t}function M(t,e){var n=Object.keys(t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(t);e&&(i=i.filter(function(e){return Object.getOwnPropertyDescriptor(t,e).enumerable})),n.push.apply(n,i)}return n}function N(t){for(var e=1;e<arguments.length;e++){var n=null!=arguments[e]?arguments[e]:{};e%2?M(Object(n),!0).forEach(function(e){P(t,e,n[e])}):Object.getOwnPropertyDescriptors?Object.defineProperties(t,Object.getOwnPropertyDescriptors(n)):M(Object(n)).forEach(function(e){Object.defineProperty(t,e,Object.getOwnPropertyDescriptor(n,e))})}return t}function B(t){if("true"===t)return!0;if("false"===t)return!1;if(t===Number(t).toString())return Number(t);if(""===t||"null"===t)return null;if("string"!=typeof t)return t;try{return JSON.parse(decodeURIComponent(t))}catch(e){return t}}function F(t){return t.replace(/[A-Z]/g,t=>"-".concat(t.toLowerCase()))}const I={setDataAttribute(t,e,n){t.setAttribute("data-bs-".concat(F(e)),n)},removeDataAttribute(t,e){t.removeAttribute("data-bs-".concat(F(e)))},getDataAttributes(t){if(!t)return{};const e={},n=Object.keys(t.dataset).filter(t=>t.startsWith("bs")&&!t.startsWith("bsConfig"));for(const i of n){let n=i.replace(/^bs/,"");n=n.charAt(0).toLowerCase()+n.slice(1),e[n]=B(t.dataset[i])}return e},getDataAttribute:(t,e)=>B(t.getAttribute("data-bs-".concat(F(e))))};class H{static get Default(){return{}}static get DefaultType(){return{}}static get NAME(){throw new Error('You have to implement the static method "NAME", for each component!')}_getConfig(t){return t=this._mergeConfigObj(t),t=this._configAfterMerge(t),this._typeCheckConfig(t),t}_configAfterMerge(t){return t}_mergeConfigObj(t,e){const n=r(e)?I.getDataAttribute(e,"config"):{};return N(N(N(N({},this.constructor.Default),"object"==typeof n?n:{}),r(e)?I.getDataAttributes(e):{}),"object"==typeof t?t:{})}_typeCheckConfig(t){let e=arguments.length>1&&void 0!==arguments[1]?arguments[1]:this.constructor.DefaultType;for(const[n,i]of Object.entries(e)){const e=t[n],s=r(e)?"element":o(e);if(!new RegExp(i).test(s))throw new TypeError("".concat(this.constructor.NAME.toUpperCase(),': Option "').concat(n,'" provided type "').concat(s,'" but expected type "').concat(i,'".'))}}}class z extends H{constructor(t,n){super(),(t=s(t))&&(this._element=t,this._config=this._getConfig(n),e.set(this._element,this.constructor.DATA_KEY,this))}dispose(){e.remove(this._element,this.constructor.DATA_KEY),S.off(this._element,this.constructor.EVENT_KEY);for(const t of Object.getOwnPropertyNames(this))this[t]=null}_queueCallback(t,e){h(t,e,!(arguments.length>2&&void 0!==arguments[2])||arguments[2])}_getConfig(t){return t=this._mergeConfigObj(t,this._element),t=this._configAfterMerge(t),this._typeCheckConfig(t),t}static getInstance(t){return e.get(s(t),this.DATA_KEY)}static getOrCreateInstance(t){let e=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{};return this.getInstance(t)||new this(t,"object"==typeof e?e:null)}static get VERSION(){return"5.3.8"}static get DATA_KEY(){return"bs.".concat(this.NAME)}static get EVENT_KEY(){return".".concat(this.DATA_KEY)}static eventName(t){return"".concat(t).concat(this.EVENT_KEY)}}const q=t=>{let e=t.getAttribute("data-bs-target");if(!e||"#"===e){let n=t.getAttribute("href");if(!n||!n.includes("#")&&!n.startsWith("."))return null;n.includes("#")&&!n.startsWith("#")&&(n="#".concat(n.split("#")[1])),e=n&&"#"!==n?n.trim():null}return e?e.split(",").map(t=>i(t)).join(","):null},W={find(t){let e=arguments.length>1&&void 0!==arguments[1]?arguments[1]:document.documentElement;return[].concat(...Element.prototype.querySelectorAll.call(e,t))},findOne(t){let e=arguments.length>1&&void 0!==arguments[1]?arguments[1]:document.documentElement;return Element.prototype.querySelector.call(e,t)},children:(t,e)=>[].concat(...t.children).filter(t=>t.matches(e)),parents(t,e){const n=[];let i=t.parentNode.closest(e);for(;i;)n.push(i),i=i.parentNode.closest(e);return n},prev(t,e){let n=t.previousElementSibling;for(;n;){if(n.matches(e))return[n];n=n.previousElementSibling}return[]},next(t,e){let n=t.nextElementSibling;for(;n;){if(n.matches(e))return[n];n=n.nextElementSibling}return[]},focusableChildren(t){const e=["a","button","input","textarea","select","details","[tabindex]",'[contenteditable="true"]'].map(t=>"".concat(t,':not([tabindex^="-"])')).join(",");return this.find(e,t).filter(t=>!(t=>!t||t.nodeType!==Node.ELEMENT_NODE||!!t.classList.contains("disabled")||(void 0!==t.disabled?t.disabled:t.hasAttribute("disabled")&&"false"!==t.getAttribute("disabled")))(t)&&(t=>{if(!r(t)||0===t.getClientRects().length)return!1;const e="visible"===getComputedStyle(t).getPropertyValue("visibility"),n=t.closest("details:not([open])");if(!n)return e;if(n!==t){const e=t.closest("summary");if(e&&e.parentNode!==n)return!1;if(null===e)return!1}return e})(t))},getSelectorFromElement(t){const e=q(t);return e&&W.findOne(e)?e:null},getElementFromSelector(t){const e=q(t);return e?W.findOne(e):null},getMultipleElementsFromSelector(t){const e=q(t);return e?W.find(e):[]}},R=".".concat("bs.collapse"),V="show".concat(R),Y="shown".concat(R),U="hide".concat(R),K="hidden".concat(R),Q="click".concat(R).concat(".data-api"),X="show",$="collapse",G="collapsing",J=":scope .".concat($," .").concat($),Z='[data-bs-toggle="collapse"]',tt={parent:null,toggle:!0},et={parent:"(null|element)",toggle:"boolean"};class nt extends z{constructor(t,e){super(t,e),this._isTransitioning=!1,this._triggerArray=[];const n=W.find(Z);for(const t of n){const e=W.getSelectorFromElement(t),n=W.find(e).filter(t=>t===this._element);null!==e&&n.length&&this._triggerArray.push(t)}this._initializeChildren(),this._config.parent||this._addAriaAndCollapsedClass(this._triggerArray,this._isShown()),this._config.toggle&&this.toggle()}static get Default(){return tt}static get DefaultType(){return et}static get NAME(){return"collapse"}toggle(){this._isShown()?this.hide():this.show()}show(){if(this._isTransitioning||this._isShown())return;let t=[];if(this._config.parent&&(t=this._getFirstLevelChildren(".collapse.show, .collapse.collapsing").filter(t=>t!==this._element).map(t=>nt.getOrCreateInstance(t,{toggle:!1}))),t.length&&t[0]._isTransitioning)return;if(S.trigger(this._element,V).defaultPrevented)return;for(const e of t)e.hide();const e=this._getDimension();this._element.classList.remove($),this._element.classList.add(G),this._element.style[e]=0,this._addAriaAndCollapsedClass(this._triggerArray,!0),this._isTransitioning=!0;const n=e[0].toUpperCase()+e.slice(1),i="scroll".concat(n);this._queueCallback(()=>{this._isTransitioning=!1,this._element.classList.remove(G),this._element.classList.add($,X),this._element.style[e]="",S.trigger(this._element,Y)},this._element,!0),this._element.style[e]="".concat(this._element[i],"px")}hide(){if(this._isTransitioning||!this._isShown())return;if(S.trigger(this._element,U).defaultPrevented)return;const t=this._getDimension();this._element.style[t]="".concat(this._element.getBoundingClientRect()[t],"px"),this._element.offsetHeight,this._element.classList.add(G),this._element.classList.remove($,X);for(const t of this._triggerArray){const e=W.getElementFromSelector(t);e&&!this._isShown(e)&&this._addAriaAndCollapsedClass([t],!1)}this._isTransitioning=!0;this._element.style[t]="",this._queueCallback(()=>{this._isTransitioning=!1,this._element.classList.remove(G),this._element.classList.add($),S.trigger(this._element,K)},this._element,!0)}_isShown(){return(arguments.length>0&&void 0!==arguments[0]?arguments[0]:this._element).classList.contains(X)}_configAfterMerge(t){return t.toggle=Boolean(t.toggle),t.parent=s(t.parent),t}_getDimension(){return this._element.classList.contains("collapse-horizontal")?"width":"height"}_initializeChildren(){if(!this._config.parent)return;const t=this._getFirstLevelChildren(Z);for(const e of t){const t=W.getElementFromSelector(e);t&&this._addAriaAndCollapsedClass([e],this._isShown(t))}}_getFirstLevelChildren(t){const e=W.find(J,this._config.parent);return W.find(t,this._config.parent).filter(t=>!e.includes(t))}_addAriaAndCollapsedClass(t,e){if(t.length)for(const n of t)n.classList.toggle("collapsed",!e),n.setAttribute("aria-expanded",e)}static jQueryInterface(t){const e={};return"string"==typeof t&&/show|hide/.test(t)&&(e.toggle=!1),this.each(function(){const n=nt.getOrCreateInstance(this,e);if("string"==typeof t){if(void 0===n[t])throw new TypeError('No method named "'.concat(t,'"'));n[t]()}})}}S.on(document,Q,Z,function(t){("A"===t.target.tagName||t.delegateTarget&&"A"===t.delegateTarget.tagName)&&t.preventDefault();for(const t of W.getMultipleElementsFromSelector(this))nt.getOrCreateInstance(t,{toggle:!1}).toggle()}),d(nt),document.getElementsByClassName("collapse");var it="top",ot="bottom",rt="right",st="left",at="auto",ct=[it,ot,rt,st],lt="start",ut="end",ft="clippingParents",dt="viewport",pt="popper",ht="reference",mt=ct.reduce(function(t,e){return t.concat([e+"-"+lt,e+"-"+ut])},[]),gt=[].concat(ct,[at]).reduce(function(t,e){return t.concat([e,e+"-"+lt,e+"-"+ut])},[]),vt="beforeRead",bt="read",yt="afterRead",_t="beforeMain",wt="main",Et="afterMain",Ot="beforeWrite",xt="write",At="afterWrite",Ct=[vt,bt,yt,_t,wt,Et,Ot,xt,At];function Tt(t){return t?(t.nodeName||"").toLowerCase():null}function Lt(t){if(null==t)return window;if("[object Window]"!==t.toString()){var e=t.ownerDocument;return e&&e.defaultView||window}return t}function jt(t){return t instanceof Lt(t).Element||t instanceof Element}function St(t){return t instanceof Lt(t).HTMLElement||t instanceof HTMLElement}function Dt(t){return"undefined"!=typeof ShadowRoot&&(t instanceof Lt(t).ShadowRoot||t instanceof ShadowRoot)}var kt={name:"applyStyles",enabled:!0,phase:"write",fn:function(t){var e=t.state;Object.keys(e.elements).forEach(function(t){var n=e.styles[t]||{},i=e.attributes[t]||{},o=e.elements[t];St(o)&&Tt(o)&&(Object.assign(o.style,n),Object.keys(i).forEach(function(t){var e=i[t];!1===e?o.removeAttribute(t):o.setAttribute(t,!0===e?"":e)}))})},effect:function(t){var e=t.state,n={popper:{position:e.options.strategy,left:"0",top:"0",margin:"0"},arrow:{position:"absolute"},reference:{}};return Object.assign(e.elements.popper.style,n.popper),e.styles=n,e.elements.arrow&&Object.assign(e.elements.arrow.style,n.arrow),function(){Object.keys(e.elements).forEach(function(t){var i=e.elements[t],o=e.attributes[t]||{},r=Object.keys(e.styles.hasOwnProperty(t)?e.styles[t]:n[t]).reduce(function(t,e){return t[e]="",t},{});St(i)&&Tt(i)&&(Object.assign(i.style,r),Object.keys(o).forEach(function(t){i.removeAttribute(t)}))})}},requires:["computeStyles"]};function Pt(t){return t.split("-")[0]}var Mt=Math.max,Nt=Math.min,Bt=Math.round;function Ft(){var t=navigator.userAgentData;return null!=t&&t.brands&&Array.isArray(t.brands)?t.brands.map(function(t){return t.brand+"/"+t.version}).join(" "):navigator.userAgent}function It(){return!/^((?!chrome|android).)*safari/i.test(Ft())}function Ht(t,e,n){void 0===e&&(e=!1),void 0===n&&(n=!1);var i=t.getBoundingClientRect(),o=1,r=1;e&&St(t)&&(o=t.offsetWidth>0&&Bt(i.width)/t.offsetWidth||1,r=t.offsetHeight>0&&Bt(i.height)/t.offsetHeight||1);var s=(jt(t)?Lt(t):window).visualViewport,a=!It()&&n,c=(i.left+(a&&s?s.offsetLeft:0))/o,l=(i.top+(a&&s?s.offsetTop:0))/r,u=i.width/o,f=i.height/r;return{width:u,height:f,top:l,right:c+u,bottom:l+f,left:c,x:c,y:l}}function zt(t){var e=Ht(t),n=t.offsetWidth,i=t.offsetHeight;return Math.abs(e.width-n)<=1&&(n=e.width),Math.abs(e.height-i)<=1&&(i=e.height),{x:t.offsetLeft,y:t.offsetTop,width:n,height:i}}function qt(t,e){var n=e.getRootNode&&e.getRootNode();if(t.contains(e))return!0;if(n&&Dt(n)){var i=e;do{if(i&&t.isSameNode(i))return!0;i=i.parentNode||i.host}while(i)}return!1}function Wt(t){return Lt(t).getComputedStyle(t)}function Rt(t){return["table","td","th"].indexOf(Tt(t))>=0}function Vt(t){return((jt(t)?t.ownerDocument:t.document)||window.document).documentElement}function Yt(t){return"html"===Tt(t)?t:t.assignedSlot||t.parentNode||(Dt(t)?t.host:null)||Vt(t)}function Ut(t){return St(t)&&"fixed"!==Wt(t).position?t.offsetParent:null}function Kt(t){for(var e=Lt(t),n=Ut(t);n&&Rt(n)&&"static"===Wt(n).position;)n=Ut(n);return n&&("html"===Tt(n)||"body"===Tt(n)&&"static"===Wt(n).position)?e:n||function(t){var e=/firefox/i.test(Ft());if(/Trident/i.test(Ft())&&St(t)&&"fixed"===Wt(t).position)return null;var n=Yt(t);for(Dt(n)&&(n=n.host);St(n)&&["html","body"].indexOf(Tt(n))<0;){var i=Wt(n);if("none"!==i.transform||"none"!==i.perspective||"paint"===i.contain||-1!==["transform","perspective"].indexOf(i.willChange)||e&&"filter"===i.willChange||e&&i.filter&&"none"!==i.filter)return n;n=n.parentNode}return null}(t)||e}function Qt(t){return["top","bottom"].indexOf(t)>=0?"x":"y"}function Xt(t,e,n){return Mt(t,Nt(e,n))}function $t(t){return Object.assign({},{top:0,right:0,bottom:0,left:0},t)}function Gt(t,e){return e.reduce(function(e,n){return e[n]=t,e},{})}var Jt={name:"arrow",enabled:!0,phase:"main",fn:function(t){var e,n=t.state,i=t.name,o=t.options,r=n.elements.arrow,s=n.modifiersData.popperOffsets,a=Pt(n.placement),c=Qt(a),l=[st,rt].indexOf(a)>=0?"height":"width";if(r&&s){var u=function(t,e){return $t("number"!=typeof(t="function"==typeof t?t(Object.assign({},e.rects,{placement:e.placement})):t)?t:Gt(t,ct))}(o.padding,n),f=zt(r),d="y"===c?it:st,p="y"===c?ot:rt,h=n.rects.reference[l]+n.rects.reference[c]-s[c]-n.rects.popper[l],m=s[c]-n.rects.reference[c],g=Kt(r),v=g?"y"===c?g.clientHeight||0:g.clientWidth||0:0,b=h/2-m/2,y=u[d],_=v-f[l]-u[p],w=v/2-f[l]/2+b,E=Xt(y,w,_),O=c;n.modifiersData[i]=((e={})[O]=E,e.centerOffset=E-w,e)}},effect:function(t){var e=t.state,n=t.options.element,i=void 0===n?"[data-popper-arrow]":n;null!=i&&("string"!=typeof i||(i=e.elements.popper.querySelector(i)))&&qt(e.elements.popper,i)&&(e.elements.arrow=i)},requires:["popperOffsets"],requiresIfExists:["preventOverflow"]};function Zt(t){return t.split("-")[1]}var te={top:"auto",right:"auto",bottom:"auto",left:"auto"};function ee(t){var e,n=t.popper,i=t.popperRect,o=t.placement,r=t.variation,s=t.offsets,a=t.position,c=t.gpuAcceleration,l=t.adaptive,u=t.roundOffsets,f=t.isFixed,d=s.x,p=void 0===d?0:d,h=s.y,m=void 0===h?0:h,g="function"==typeof u?u({x:p,y:m}):{x:p,y:m};p=g.x,m=g.y;var v=s.hasOwnProperty("x"),b=s.hasOwnProperty("y"),y=st,_=it,w=window;if(l){var E=Kt(n),O="clientHeight",x="clientWidth";if(E===Lt(n)&&"static"!==Wt(E=Vt(n)).position&&"absolute"===a&&(O="scrollHeight",x="scrollWidth"),o===it||(o===st||o===rt)&&r===ut)_=ot,m-=(f&&E===w&&w.visualViewport?w.visualViewport.height:E[O])-i.height,m*=c?1:-1;if(o===st||(o===it||o===ot)&&r===ut)y=rt,p-=(f&&E===w&&w.visualViewport?w.visualViewport.width:E[x])-i.width,p*=c?1:-1}var A,C=Object.assign({position:a},l&&te),T=!0===u?function(t,e){var n=t.x,i=t.y,o=e.devicePixelRatio||1;return{x:Bt(n*o)/o||0,y:Bt(i*o)/o||0}}({x:p,y:m},Lt(n)):{x:p,y:m};return p=T.x,m=T.y,c?Object.assign({},C,((A={})[_]=b?"0":"",A[y]=v?"0":"",A.transform=(w.devicePixelRatio||1)<=1?"translate("+p+"px, "+m+"px)":"translate3d("+p+"px, "+m+"px, 0)",A)):Object.assign({},C,((e={})[_]=b?m+"px":"",e[y]=v?p+"px":"",e.transform="",e))}var ne={name:"computeStyles",enabled:!0,phase:"beforeWrite",fn:function(t){var e=t.state,n=t.options,i=n.gpuAcceleration,o=void 0===i||i,r=n.adaptive,s=void 0===r||r,a=n.roundOffsets,c=void 0===a||a,l={placement:Pt(e.placement),variation:Zt(e.placement),popper:e.elements.popper,popperRect:e.rects.popper,gpuAcceleration:o,isFixed:"fixed"===e.options.strategy};null!=e.modifiersData.popperOffsets&&(e.styles.popper=Object.assign({},e.styles.popper,ee(Object.assign({},l,{offsets:e.modifiersData.popperOffsets,position:e.options.strategy,adaptive:s,roundOffsets:c})))),null!=e.modifiersData.arrow&&(e.styles.arrow=Object.assign({},e.styles.arrow,ee(Object.assign({},l,{offsets:e.modifiersData.arrow,position:"absolute",adaptive:!1,roundOffsets:c})))),e.attributes.popper=Object.assign({},e.attributes.popper,{"data-popper-placement":e.placement})},data:{}},ie={passive:!0};var oe={name:"eventListeners",enabled:!0,phase:"write",fn:function(){},effect:function(t){var e=t.state,n=t.instance,i=t.options,o=i.scroll,r=void 0===o||o,s=i.resize,a=void 0===s||s,c=Lt(e.elements.popper),l=[].concat(e.scrollParents.reference,e.scrollParents.popper);return r&&l.forEach(function(t){t.addEventListener("scroll",n.update,ie)}),a&&c.addEventListener("resize",n.update,ie),function(){r&&l.forEach(function(t){t.removeEventListener("scroll",n.update,ie)}),a&&c.removeEventListener("resize",n.update,ie)}},data:{}},re={left:"right",right:"left",bottom:"top",top:"bottom"};function se(t){return t.replace(/left|right|bottom|top/g,function(t){return re[t]})}var ae={start:"end",end:"start"};function ce(t){return t.replace(/start|end/g,function(t){return ae[t]})}function le(t){var e=Lt(t);return{scrollLeft:e.pageXOffset,scrollTop:e.pageYOffset}}function ue(t){return Ht(Vt(t)).left+le(t).scrollLeft}function fe(t){var e=Wt(t),n=e.overflow,i=e.overflowX,o=e.overflowY;return/auto|scroll|overlay|hidden/.test(n+o+i)}function de(t){return["html","body","#document"].indexOf(Tt(t))>=0?t.ownerDocument.body:St(t)&&fe(t)?t:de(Yt(t))}function pe(t,e){var n;void 0===e&&(e=[]);var i=de(t),o=i===(null==(n=t.ownerDocument)?void 0:n.body),r=Lt(i),s=o?[r].concat(r.visualViewport||[],fe(i)?i:[]):i,a=e.concat(s);return o?a:a.concat(pe(Yt(s)))}function he(t){return Object.assign({},t,{left:t.x,top:t.y,right:t.x+t.width,bottom:t.y+t.height})}function me(t,e,n){return e===dt?he(function(t,e){var n=Lt(t),i=Vt(t),o=n.visualViewport,r=i.clientWidth,s=i.clientHeight,a=0,c=0;if(o){r=o.width,s=o.height;var l=It();(l||!l&&"fixed"===e)&&(a=o.offsetLeft,c=o.offsetTop)}return{width:r,height:s,x:a+ue(t),y:c}}(t,n)):jt(e)?function(t,e){var n=Ht(t,!1,"fixed"===e);return n.top=n.top+t.clientTop,n.left=n.left+t.clientLeft,n.bottom=n.top+t.clientHeight,n.right=n.left+t.clientWidth,n.width=t.clientWidth,n.height=t.clientHeight,n.x=n.left,n.y=n.top,n}(e,n):he(function(t){var e,n=Vt(t),i=le(t),o=null==(e=t.ownerDocument)?void 0:e.body,r=Mt(n.scrollWidth,n.clientWidth,o?o.scrollWidth:0,o?o.clientWidth:0),s=Mt(n.scrollHeight,n.clientHeight,o?o.scrollHeight:0,o?o.clientHeight:0),a=-i.scrollLeft+ue(t),c=-i.scrollTop;return"rtl"===Wt(o||n).direction&&(a+=Mt(n.clientWidth,o?o.clientWidth:0)-r),{width:r,height:s,x:a,y:c}}(Vt(t)))}function ge(t,e,n,i){var o="clippingParents"===e?function(t){var e=pe(Yt(t)),n=["absolute","fixed"].indexOf(Wt(t).position)>=0&&St(t)?Kt(t):t;return jt(n)?e.filter(function(t){return jt(t)&&qt(t,n)&&"body"!==Tt(t)}):[]}(t):[].concat(e),r=[].concat(o,[n]),s=r[0],a=r.reduce(function(e,n){var o=me(t,n,i);return e.top=Mt(o.top,e.top),e.right=Nt(o.right,e.right),e.bottom=Nt(o.bottom,e.bottom),e.left=Mt(o.left,e.left),e},me(t,s,i));return a.width=a.right-a.left,a.height=a.bottom-a.top,a.x=a.left,a.y=a.top,a}function ve(t){var e,n=t.reference,i=t.element,o=t.placement,r=o?Pt(o):null,s=o?Zt(o):null,a=n.x+n.width/2-i.width/2,c=n.y+n.height/2-i.height/2;switch(r){case it:e={x:a,y:n.y-i.height};break;case ot:e={x:a,y:n.y+n.height};break;case rt:e={x:n.x+n.width,y:c};break;case st:e={x:n.x-i.width,y:c};break;default:e={x:n.x,y:n.y}}var l=r?Qt(r):null;if(null!=l){var u="y"===l?"height":"width";switch(s){case lt:e[l]=e[l]-(n[u]/2-i[u]/2);break;case ut:e[l]=e[l]+(n[u]/2-i[u]/2)}}return e}function be(t,e){void 0===e&&(e={});var n=e,i=n.placement,o=void 0===i?t.placement:i,r=n.strategy,s=void 0===r?t.strategy:r,a=n.boundary,c=void 0===a?ft:a,l=n.rootBoundary,u=void 0===l?dt:l,f=n.elementContext,d=void 0===f?pt:f,p=n.altBoundary,h=void 0!==p&&p,m=n.padding,g=void 0===m?0:m,v=$t("number"!=typeof g?g:Gt(g,ct)),b=d===pt?ht:pt,y=t.rects.popper,_=t.elements[h?b:d],w=ge(jt(_)?_:_.contextElement||Vt(t.elements.popper),c,u,s),E=Ht(t.elements.reference),O=ve({reference:E,element:y,placement:o}),x=he(Object.assign({},y,O)),A=d===pt?x:E,C={top:w.top-A.top+v.top,bottom:A.bottom-w.bottom+v.bottom,left:w.left-A.left+v.left,right:A.right-w.right+v.right},T=t.modifiersData.offset;if(d===pt&&T){var L=T[o];Object.keys(C).forEach(function(t){var e=[rt,ot].indexOf(t)>=0?1:-1,n=[it,ot].indexOf(t)>=0?"y":"x";C[t]+=L[n]*e})}return C}function ye(t,e){void 0===e&&(e={});var n=e,i=n.placement,o=n.boundary,r=n.rootBoundary,s=n.padding,a=n.flipVariations,c=n.allowedAutoPlacements,l=void 0===c?gt:c,u=Zt(i),f=u?a?mt:mt.filter(function(t){return Zt(t)===u}):ct,d=f.filter(function(t){return l.indexOf(t)>=0});0===d.length&&(d=f);var p=d.reduce(function(e,n){return e[n]=be(t,{placement:n,boundary:o,rootBoundary:r,padding:s})[Pt(n)],e},{});return Object.keys(p).sort(function(t,e){return p[t]-p[e]})}var _e={name:"flip",enabled:!0,phase:"main",fn:function(t){var e=t.state,n=t.options,i=t.name;if(!e.modifiersData[i]._skip){for(var o=n.mainAxis,r=void 0===o||o,s=n.altAxis,a=void 0===s||s,c=n.fallbackPlacements,l=n.padding,u=n.boundary,f=n.rootBoundary,d=n.altBoundary,p=n.flipVariations,h=void 0===p||p,m=n.allowedAutoPlacements,g=e.options.placement,v=Pt(g),b=c||(v===g||!h?[se(g)]:function(t){if(Pt(t)===at)return[];var e=se(t);return[ce(t),e,ce(e)]}(g)),y=[g].concat(b).reduce(function(t,n){return t.concat(Pt(n)===at?ye(e,{placement:n,boundary:u,rootBoundary:f,padding:l,flipVariations:h,allowedAutoPlacements:m}):n)},[]),_=e.rects.reference,w=e.rects.popper,E=new Map,O=!0,x=y[0],A=0;A<y.length;A++){var C=y[A],T=Pt(C),L=Zt(C)===lt,j=[it,ot].indexOf(T)>=0,S=j?"width":"height",D=be(e,{placement:C,boundary:u,rootBoundary:f,altBoundary:d,padding:l}),k=j?L?rt:st:L?ot:it;_[S]>w[S]&&(k=se(k));var P=se(k),M=[];if(r&&M.push(D[T]<=0),a&&M.push(D[k]<=0,D[P]<=0),M.every(function(t){return t})){x=C,O=!1;break}E.set(C,M)}if(O)for(var N=function(t){var e=y.find(function(e){var n=E.get(e);if(n)return n.slice(0,t).every(function(t){return t})});if(e)return x=e,"break"},B=h?3:1;B>0;B--){if("break"===N(B))break}e.placement!==x&&(e.modifiersData[i]._skip=!0,e.placement=x,e.reset=!0)}},requiresIfExists:["offset"],data:{_skip:!1}};function we(t,e,n){return void 0===n&&(n={x:0,y:0}),{top:t.top-e.height-n.y,right:t.right-e.width+n.x,bottom:t.bottom-e.height+n.y,left:t.left-e.width-n.x}}function Ee(t){return[it,rt,ot,st].some(function(e){return t[e]>=0})}var Oe={name:"hide",enabled:!0,phase:"main",requiresIfExists:["preventOverflow"],fn:function(t){var e=t.state,n=t.name,i=e.rects.reference,o=e.rects.popper,r=e.modifiersData.preventOverflow,s=be(e,{elementContext:"reference"}),a=be(e,{altBoundary:!0}),c=we(s,i),l=we(a,o,r),u=Ee(c),f=Ee(l);e.modifiersData[n]={referenceClippingOffsets:c,popperEscapeOffsets:l,isReferenceHidden:u,hasPopperEscaped:f},e.attributes.popper=Object.assign({},e.attributes.popper,{"data-popper-reference-hidden":u,"data-popper-escaped":f})}};var xe={name:"offset",enabled:!0,phase:"main",requires:["popperOffsets"],fn:function(t){var e=t.state,n=t.options,i=t.name,o=n.offset,r=void 0===o?[0,0]:o,s=gt.reduce(function(t,n){return t[n]=function(t,e,n){var i=Pt(t),o=[st,it].indexOf(i)>=0?-1:1,r="function"==typeof n?n(Object.assign({},e,{placement:t})):n,s=r[0],a=r[1];return s=s||0,a=(a||0)*o,[st,rt].indexOf(i)>=0?{x:a,y:s}:{x:s,y:a}}(n,e.rects,r),t},{}),a=s[e.placement],c=a.x,l=a.y;null!=e.modifiersData.popperOffsets&&(e.modifiersData.popperOffsets.x+=c,e.modifiersData.popperOffsets.y+=l),e.modifiersData[i]=s}};var Ae={name:"popperOffsets",enabled:!0,phase:"read",fn:function(t){var e=t.state,n=t.name;e.modifiersData[n]=ve({reference:e.rects.reference,element:e.rects.popper,placement:e.placement})},data:{}};var Ce={name:"preventOverflow",enabled:!0,phase:"main",fn:function(t){var e=t.state,n=t.options,i=t.name,o=n.mainAxis,r=void 0===o||o,s=n.altAxis,a=void 0!==s&&s,c=n.boundary,l=n.rootBoundary,u=n.altBoundary,f=n.padding,d=n.tether,p=void 0===d||d,h=n.tetherOffset,m=void 0===h?0:h,g=be(e,{boundary:c,rootBoundary:l,padding:f,altBoundary:u}),v=Pt(e.placement),b=Zt(e.placement),y=!b,_=Qt(v),w="x"===_?"y":"x",E=e.modifiersData.popperOffsets,O=e.rects.reference,x=e.rects.popper,A="function"==typeof m?m(Object.assign({},e.rects,{placement:e.placement})):m,C="number"==typeof A?{mainAxis:A,altAxis:A}:Object.assign({mainAxis:0,altAxis:0},A),T=e.modifiersData.offset?e.modifiersData.offset[e.placement]:null,L={x:0,y:0};if(E){if(r){var j,S="y"===_?it:st,D="y"===_?ot:rt,k="y"===_?"height":"width",P=E[_],M=P+g[S],N=P-g[D],B=p?-x[k]/2:0,F=b===lt?O[k]:x[k],I=b===lt?-x[k]:-O[k],H=e.elements.arrow,z=p&&H?zt(H):{width:0,height:0},q=e.modifiersData["arrow#persistent"]?e.modifiersData["arrow#persistent"].padding:{top:0,right:0,bottom:0,left:0},W=q[S],R=q[D],V=Xt(0,O[k],z[k]),Y=y?O[k]/2-B-V-W-C.mainAxis:F-V-W-C.mainAxis,U=y?-O[k]/2+B+V+R+C.mainAxis:I+V+R+C.mainAxis,K=e.elements.arrow&&Kt(e.elements.arrow),Q=K?"y"===_?K.clientTop||0:K.clientLeft||0:0,X=null!=(j=null==T?void 0:T[_])?j:0,$=P+U-X,G=Xt(p?Nt(M,P+Y-X-Q):M,P,p?Mt(N,$):N);E[_]=G,L[_]=G-P}if(a){var J,Z="x"===_?it:st,tt="x"===_?ot:rt,et=E[w],nt="y"===w?"height":"width",at=et+g[Z],ct=et-g[tt],ut=-1!==[it,st].indexOf(v),ft=null!=(J=null==T?void 0:T[w])?J:0,dt=ut?at:et-O[nt]-x[nt]-ft+C.altAxis,pt=ut?et+O[nt]+x[nt]-ft-C.altAxis:ct,ht=p&&ut?function(t,e,n){var i=Xt(t,e,n);return i>n?n:i}(dt,et,pt):Xt(p?dt:at,et,p?pt:ct);E[w]=ht,L[w]=ht-et}e.modifiersData[i]=L}},requiresIfExists:["offset"]};function Te(t,e,n){void 0===n&&(n=!1);var i,o,r=St(e),s=St(e)&&function(t){var e=t.getBoundingClientRect(),n=Bt(e.width)/t.offsetWidth||1,i=Bt(e.height)/t.offsetHeight||1;return 1!==n||1!==i}(e),a=Vt(e),c=Ht(t,s,n),l={scrollLeft:0,scrollTop:0},u={x:0,y:0};return(r||!r&&!n)&&(("body"!==Tt(e)||fe(a))&&(l=(i=e)!==Lt(i)&&St(i)?{scrollLeft:(o=i).scrollLeft,scrollTop:o.scrollTop}:le(i)),St(e)?((u=Ht(e,!0)).x+=e.clientLeft,u.y+=e.clientTop):a&&(u.x=ue(a))),{x:c.left+l.scrollLeft-u.x,y:c.top+l.scrollTop-u.y,width:c.width,height:c.height}}function Le(t){var e=new Map,n=new Set,i=[];function o(t){n.add(t.name),[].concat(t.requires||[],t.requiresIfExists||[]).forEach(function(t){if(!n.has(t)){var i=e.get(t);i&&o(i)}}),i.push(t)}return t.forEach(function(t){e.set(t.name,t)}),t.forEach(function(t){n.has(t.name)||o(t)}),i}var je={placement:"bottom",modifiers:[],strategy:"absolute"};function Se(){for(var t=arguments.length,e=new Array(t),n=0;n<t;n++)e[n]=arguments[n];return!e.some(function(t){return!(t&&"function"==typeof t.getBoundingClientRect)})}function De(t){void 0===t&&(t={});var e=t,n=e.defaultModifiers,i=void 0===n?[]:n,o=e.defaultOptions,r=void 0===o?je:o;return function(t,e,n){void 0===n&&(n=r);var o,s,a={placement:"bottom",orderedModifiers:[],options:Object.assign({},je,r),modifiersData:{},elements:{reference:t,popper:e},attributes:{},styles:{}},c=[],l=!1,u={state:a,setOptions:function(n){var o="function"==typeof n?n(a.options):n;f(),a.options=Object.assign({},r,a.options,o),a.scrollParents={reference:jt(t)?pe(t):t.contextElement?pe(t.contextElement):[],popper:pe(e)};var s,l,d=function(t){var e=Le(t);return Ct.reduce(function(t,n){return t.concat(e.filter(function(t){return t.phase===n}))},[])}((s=[].concat(i,a.options.modifiers),l=s.reduce(function(t,e){var n=t[e.name];return t[e.name]=n?Object.assign({},n,e,{options:Object.assign({},n.options,e.options),data:Object.assign({},n.data,e.data)}):e,t},{}),Object.keys(l).map(function(t){return l[t]})));return a.orderedModifiers=d.filter(function(t){return t.enabled}),a.orderedModifiers.forEach(function(t){var e=t.name,n=t.options,i=void 0===n?{}:n,o=t.effect;if("function"==typeof o){var r=o({state:a,name:e,instance:u,options:i}),s=function(){};c.push(r||s)}}),u.update()},forceUpdate:function(){if(!l){var t=a.elements,e=t.reference,n=t.popper;if(Se(e,n)){a.rects={reference:Te(e,Kt(n),"fixed"===a.options.strategy),popper:zt(n)},a.reset=!1,a.placement=a.options.placement,a.orderedModifiers.forEach(function(t){return a.modifiersData[t.name]=Object.assign({},t.data)});for(var i=0;i<a.orderedModifiers.length;i++)if(!0!==a.reset){var o=a.orderedModifiers[i],r=o.fn,s=o.options,c=void 0===s?{}:s,f=o.name;"function"==typeof r&&(a=r({state:a,options:c,name:f,instance:u})||a)}else a.reset=!1,i=-1}}},update:(o=function(){return new Promise(function(t){u.forceUpdate(),t(a)})},function(){return s||(s=new Promise(function(t){Promise.resolve().then(function(){s=void 0,t(o())})})),s}),destroy:function(){f(),l=!0}};if(!Se(t,e))return u;function f(){c.forEach(function(t){return t()}),c=[]}return u.setOptions(n).then(function(t){!l&&n.onFirstUpdate&&n.onFirstUpdate(t)}),u}}var ke=De(),Pe=De({defaultModifiers:[oe,Ae,ne,kt]}),Me=De({defaultModifiers:[oe,Ae,ne,kt,xe,_e,Ce,Jt,Oe]}),Ne=Object.freeze({__proto__:null,afterMain:Et,afterRead:yt,afterWrite:At,applyStyles:kt,arrow:Jt,auto:at,basePlacements:ct,beforeMain:_t,beforeRead:vt,beforeWrite:Ot,bottom:ot,clippingParents:ft,computeStyles:ne,createPopper:Me,createPopperBase:ke,createPopperLite:Pe,detectOverflow:be,end:ut,eventListeners:oe,flip:_e,hide:Oe,left:st,main:wt,modifierPhases:Ct,offset:xe,placements:gt,popper:pt,popperGenerator:De,popperOffsets:Ae,preventOverflow:Ce,read:bt,reference:ht,right:rt,start:lt,top:it,variationPlacements:mt,viewport:dt,write:xt});const Be={"*":["class","dir","id","lang","role",/^aria-[\w-]*$/i],a:["target","href","title","rel"],area:[],b:[],br:[],col:[],code:[],dd:[],div:[],dl:[],dt:[],em:[],hr:[],h1:[],h2:[],h3:[],h4:[],h5:[],h6:[],i:[],img:["src","srcset","alt","title","width","height"],li:[],ol:[],p:[],pre:[],s:[],small:[],span:[],sub:[],sup:[],strong:[],u:[],ul:[]},Fe=new Set(["background","cite","href","itemtype","longdesc","poster","src","xlink:href"]),Ie=/^(?!javascript:)(?:[a-z0-9+.-]+:|[^&:/?#]*(?:[/?#]|$))/i,He=(t,e)=>{const n=t.nodeName.toLowerCase();return e.includes(n)?!Fe.has(n)||Boolean(Ie.test(t.nodeValue)):e.filter(t=>t instanceof RegExp).some(t=>t.test(n))};const ze={allowList:Be,content:{},extraClass:"",html:!1,sanitize:!0,sanitizeFn:null,template:"<div></div>"},qe={allowList:"object",content:"object",extraClass:"(string|function)",html:"boolean",sanitize:"boolean",sanitizeFn:"(null|function)",template:"string"},We={entry:"(string|element|function|null)",selector:"(string|element)"};class Re extends H{constructor(t){super(),this._config=this._getConfig(t)}static get Default(){return ze}static get DefaultType(){return qe}static get NAME(){return"TemplateFactory"}getContent(){return Object.values(this._config.content).map(t=>this._resolvePossibleFunction(t)).filter(Boolean)}hasContent(){return this.getContent().length>0}changeContent(t){return this._checkContent(t),this._config.content=N(N({},this._config.content),t),this}toHtml(){const t=document.createElement("div");t.innerHTML=this._maybeSanitize(this._config.template);for(const[e,n]of Object.entries(this._config.content))this._setContent(t,n,e);const e=t.children[0],n=this._resolvePossibleFunction(this._config.extraClass);return n&&e.classList.add(...n.split(" ")),e}_typeCheckConfig(t){super._typeCheckConfig(t),this._checkContent(t.content)}_checkContent(t){for(const[e,n]of Object.entries(t))super._typeCheckConfig({selector:e,entry:n},We)}_setContent(t,e,n){const i=W.findOne(n,t);i&&((e=this._resolvePossibleFunction(e))?r(e)?this._putElementInTemplate(s(e),i):this._config.html?i.innerHTML=this._maybeSanitize(e):i.textContent=e:i.remove())}_maybeSanitize(t){return this._config.sanitize?function(t,e,n){if(!t.length)return t;if(n&&"function"==typeof n)return n(t);const i=(new window.DOMParser).parseFromString(t,"text/html"),o=[].concat(...i.body.querySelectorAll("*"));for(const t of o){const n=t.nodeName.toLowerCase();if(!Object.keys(e).includes(n)){t.remove();continue}const i=[].concat(...t.attributes),o=[].concat(e["*"]||[],e[n]||[]);for(const e of i)He(e,o)||t.removeAttribute(e.nodeName)}return i.body.innerHTML}(t,this._config.allowList,this._config.sanitizeFn):t}_resolvePossibleFunction(t){return p(t,[void 0,this])}_putElementInTemplate(t,e){if(this._config.html)return e.innerHTML="",void e.append(t);e.textContent=t.textContent}}const Ve=new Set(["sanitize","allowList","sanitizeFn"]),Ye="fade",Ue="show",Ke=".tooltip-inner",Qe=".".concat("modal"),Xe="hide.bs.modal",$e="hover",Ge="focus",Je="click",Ze={AUTO:"auto",TOP:"top",RIGHT:f()?"left":"right",BOTTOM:"bottom",LEFT:f()?"right":"left"},tn={allowList:Be,animation:!0,boundary:"clippingParents",container:!1,customClass:"",delay:0,fallbackPlacements:["top","right","bottom","left"],html:!1,offset:[0,6],placement:"top",popperConfig:null,sanitize:!0,sanitizeFn:null,selector:!1,template:'<div class="tooltip" role="tooltip"><div class="tooltip-arrow"></div><div class="tooltip-inner"></div></div>',title:"",trigger:"hover focus"},en={allowList:"object",animation:"boolean",boundary:"(string|element)",container:"(string|element|boolean)",customClass:"(string|function)",delay:"(number|object)",fallbackPlacements:"array",html:"boolean",offset:"(array|string|function)",placement:"(string|function)",popperConfig:"(null|object|function)",sanitize:"boolean",sanitizeFn:"(null|function)",selector:"(string|boolean)",template:"string",title:"(string|element|function)",trigger:"string"};class nn extends z{constructor(t,e){if(void 0===Ne)throw new TypeError("Bootstrap's tooltips require Popper (https://popper.js.org/docs/v2/)");super(t,e),this._isEnabled=!0,this._timeout=0,this._isHovered=null,this._activeTrigger={},this._popper=null,this._templateFactory=null,this._newContent=null,this.tip=null,this._setListeners(),this._config.selector||this._fixTitle()}static get Default(){return tn}static get DefaultType(){return en}static get NAME(){return"tooltip"}enable(){this._isEnabled=!0}disable(){this._isEnabled=!1}toggleEnabled(){this._isEnabled=!this._isEnabled}toggle(){this._isEnabled&&(this._isShown()?this._leave():this._enter())}dispose(){clearTimeout(this._timeout),S.off(this._element.closest(Qe),Xe,this._hideModalHandler),this._element.getAttribute("data-bs-original-title")&&this._element.setAttribute("title",this._element.getAttribute("data-bs-original-title")),this._disposePopper(),super.dispose()}show(){if("none"===this._element.style.display)throw new Error("Please use show on visible elements");if(!this._isWithContent()||!this._isEnabled)return;const t=S.trigger(this._element,this.constructor.eventName("show")),e=(a(this._element)||this._element.ownerDocument.documentElement).contains(this._element);if(t.defaultPrevented||!e)return;this._disposePopper();const n=this._getTipElement();this._element.setAttribute("aria-describedby",n.getAttribute("id"));const{container:i}=this._config;if(this._element.ownerDocument.documentElement.contains(this.tip)||(i.append(n),S.trigger(this._element,this.constructor.eventName("inserted"))),this._popper=this._createPopper(n),n.classList.add(Ue),"ontouchstart"in document.documentElement)for(const t of[].concat(...document.body.children))S.on(t,"mouseover",c);this._queueCallback(()=>{S.trigger(this._element,this.constructor.eventName("shown")),!1===this._isHovered&&this._leave(),this._isHovered=!1},this.tip,this._isAnimated())}hide(){if(!this._isShown())return;if(S.trigger(this._element,this.constructor.eventName("hide")).defaultPrevented)return;if(this._getTipElement().classList.remove(Ue),"ontouchstart"in document.documentElement)for(const t of[].concat(...document.body.children))S.off(t,"mouseover",c);this._activeTrigger[Je]=!1,this._activeTrigger[Ge]=!1,this._activeTrigger[$e]=!1,this._isHovered=null;this._queueCallback(()=>{this._isWithActiveTrigger()||(this._isHovered||this._disposePopper(),this._element.removeAttribute("aria-describedby"),S.trigger(this._element,this.constructor.eventName("hidden")))},this.tip,this._isAnimated())}update(){this._popper&&this._popper.update()}_isWithContent(){return Boolean(this._getTitle())}_getTipElement(){return this.tip||(this.tip=this._createTipElement(this._newContent||this._getContentForTemplate())),this.tip}_createTipElement(t){const e=this._getTemplateFactory(t).toHtml();if(!e)return null;e.classList.remove(Ye,Ue),e.classList.add("bs-".concat(this.constructor.NAME,"-auto"));const n=(t=>{do{t+=Math.floor(1e6*Math.random())}while(document.getElementById(t));return t})(this.constructor.NAME).toString();return e.setAttribute("id",n),this._isAnimated()&&e.classList.add(Ye),e}setContent(t){this._newContent=t,this._isShown()&&(this._disposePopper(),this.show())}_getTemplateFactory(t){return this._templateFactory?this._templateFactory.changeContent(t):this._templateFactory=new Re(N(N({},this._config),{},{content:t,extraClass:this._resolvePossibleFunction(this._config.customClass)})),this._templateFactory}_getContentForTemplate(){return{[Ke]:this._getTitle()}}_getTitle(){return this._resolvePossibleFunction(this._config.title)||this._element.getAttribute("data-bs-original-title")}_initializeOnDelegatedTarget(t){return this.constructor.getOrCreateInstance(t.delegateTarget,this._getDelegateConfig())}_isAnimated(){return this._config.animation||this.tip&&this.tip.classList.contains(Ye)}_isShown(){return this.tip&&this.tip.classList.contains(Ue)}_createPopper(t){const e=p(this._config.placement,[this,t,this._element]),n=Ze[e.toUpperCase()];return Me(this._element,t,this._getPopperConfig(n))}_getOffset(){const{offset:t}=this._config;return"string"==typeof t?t.split(",").map(t=>Number.parseInt(t,10)):"function"==typeof t?e=>t(e,this._element):t}_resolvePossibleFunction(t){return p(t,[this._element,this._element])}_getPopperConfig(t){const e={placement:t,modifiers:[{name:"flip",options:{fallbackPlacements:this._config.fallbackPlacements}},{name:"offset",options:{offset:this._getOffset()}},{name:"preventOverflow",options:{boundary:this._config.boundary}},{name:"arrow",options:{element:".".concat(this.constructor.NAME,"-arrow")}},{name:"preSetPlacement",enabled:!0,phase:"beforeMain",fn:t=>{this._getTipElement().setAttribute("data-popper-placement",t.state.placement)}}]};return N(N({},e),p(this._config.popperConfig,[void 0,e]))}_setListeners(){const t=this._config.trigger.split(" ");for(const e of t)if("click"===e)S.on(this._element,this.constructor.eventName("click"),this._config.selector,t=>{const e=this._initializeOnDelegatedTarget(t);e._activeTrigger[Je]=!(e._isShown()&&e._activeTrigger[Je]),e.toggle()});else if("manual"!==e){const t=e===$e?this.constructor.eventName("mouseenter"):this.constructor.eventName("focusin"),n=e===$e?this.constructor.eventName("mouseleave"):this.constructor.eventName("focusout");S.on(this._element,t,this._config.selector,t=>{const e=this._initializeOnDelegatedTarget(t);e._activeTrigger["focusin"===t.type?Ge:$e]=!0,e._enter()}),S.on(this._element,n,this._config.selector,t=>{const e=this._initializeOnDelegatedTarget(t);e._activeTrigger["focusout"===t.type?Ge:$e]=e._element.contains(t.relatedTarget),e._leave()})}this._hideModalHandler=()=>{this._element&&this.hide()},S.on(this._element.closest(Qe),Xe,this._hideModalHandler)}_fixTitle(){const t=this._element.getAttribute("title");t&&(this._element.getAttribute("aria-label")||this._element.textContent.trim()||this._element.setAttribute("aria-label",t),this._element.setAttribute("data-bs-original-title",t),this._element.removeAttribute("title"))}_enter(){this._isShown()||this._isHovered?this._isHovered=!0:(this._isHovered=!0,this._setTimeout(()=>{this._isHovered&&this.show()},this._config.delay.show))}_leave(){this._isWithActiveTrigger()||(this._isHovered=!1,this._setTimeout(()=>{this._isHovered||this.hide()},this._config.delay.hide))}_setTimeout(t,e){clearTimeout(this._timeout),this._timeout=setTimeout(t,e)}_isWithActiveTrigger(){return Object.values(this._activeTrigger).includes(!0)}_getConfig(t){const e=I.getDataAttributes(this._element);for(const t of Object.keys(e))Ve.has(t)&&delete e[t];return t=N(N({},e),"object"==typeof t&&t?t:{}),t=this._mergeConfigObj(t),t=this._configAfterMerge(t),this._typeCheckConfig(t),t}_configAfterMerge(t){return t.container=!1===t.container?document.body:s(t.container),"number"==typeof t.delay&&(t.delay={show:t.delay,hide:t.delay}),"number"==typeof t.title&&(t.title=t.title.toString()),"number"==typeof t.content&&(t.content=t.content.toString()),t}_getDelegateConfig(){const t={};for(const[e,n]of Object.entries(this._config))this.constructor.Default[e]!==n&&(t[e]=n);return t.selector=!1,t.trigger="manual",t}_disposePopper(){this._popper&&(this._popper.destroy(),this._popper=null),this.tip&&(this.tip.remove(),this.tip=null)}static jQueryInterface(t){return this.each(function(){const e=nn.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t])throw new TypeError('No method named "'.concat(t,'"'));e[t]()}})}}d(nn);const on="data-src",rn="data-lqip",sn="shimmer",an="blur";function cn(t){this.parentElement.classList.remove(t)}function ln(){this.complete&&(this.hasAttribute(rn)?cn.call(this,an):cn.call(this,sn))}function un(){const t=this.getAttribute(on);this.setAttribute("src",encodeURI(t)),this.removeAttribute(on)}class fn{static get attrTimestamp(){return"data-ts"}static get attrDateFormat(){return"data-df"}static get locale(){return document.documentElement.getAttribute("lang").substring(0,2)}static getTimestamp(t){return Number(t.getAttribute(this.attrTimestamp))}static getDateFormat(t){return t.getAttribute(this.attrDateFormat)}}var dn;const pn=document.getElementById("toc-bar"),hn=document.getElementById("toc-solo-trigger"),mn=document.getElementsByClassName("toc-trigger"),gn=document.getElementById("toc-popup"),vn=document.getElementById("toc-popup-close"),bn="overflow-hidden",yn="closing";class _n{static initBar(){new IntersectionObserver(t=>{t.forEach(t=>{pn.classList.toggle("invisible",t.isIntersecting)})},{rootMargin:"-".concat(k(_n,this,En)._,"px 0px 0px 0px")}).observe(hn),wn._=k(_n,this,!1)}static listenAnchors(){[...document.getElementsByClassName("toc-link")].forEach(t=>{t.onclick=()=>this.hidePopup()})}static refresh(){k(_n,this,wn)._&&this.initComponents(),tocbot.refresh(this.options),this.listenAnchors()}static get popupOpened(){return gn.open}static showPopup(){this.lockScroll(!0),gn.showModal();gn.querySelector("li.is-active-li").scrollIntoView({block:"center"})}static hidePopup(){gn.toggleAttribute(yn),gn.addEventListener("animationend",()=>{gn.toggleAttribute(yn),gn.close()},{once:!0}),this.lockScroll(!1)}static lockScroll(t){document.documentElement.classList.toggle(bn,t),document.body.classList.toggle(bn,t)}static clickBackdrop(t){if(gn.hasAttribute(yn))return;const e=t.target.getBoundingClientRect();(t.clientX<e.left||t.clientX>e.right||t.clientY<e.top||t.clientY>e.bottom)&&this.hidePopup()}static initComponents(){this.initBar(),[...mn].forEach(t=>{t.onclick=()=>this.showPopup()}),gn.onclick=t=>this.clickBackdrop(t),vn.onclick=()=>this.hidePopup(),gn.oncancel=t=>{t.preventDefault(),this.hidePopup()}}static init(){tocbot.init(this.options),this.listenAnchors(),this.initComponents()}}var wn={_:!0},En={_:48};P(_n,"options",{tocSelector:"#toc-popup-content",contentSelector:".content",ignoreSelector:"[data-toc-skip]",headingSelector:"h2, h3, h4",orderedList:!1,scrollSmooth:!1,collapseDepth:4,headingsOffset:k(dn=_n,dn,En)._});P(class{static refresh(){tocbot.refresh(this.options)}static init(){tocbot.init(this.options)}},"options",{tocSelector:"#toc",contentSelector:".content",ignoreSelector:"[data-toc-skip]",headingSelector:"h2, h3, h4",orderedList:!1,scrollSmooth:!1,headingsOffset:32}),matchMedia("(min-width: 1200px)"),Theme.getThemeMapper("default","dark");const On=document.getElementById("mode-toggle");const xn=document.getElementById("sidebar"),An=document.getElementById("sidebar-trigger"),Cn=document.getElementById("mask");class Tn{static toggle(){Ln._=k(Tn,this,!k(Tn,this,Ln)._),document.body.toggleAttribute("sidebar-display",k(Tn,this,Ln)._),xn.classList.toggle("z-2",k(Tn,this,Ln)._),Cn.classList.toggle("d-none",!k(Tn,this,Ln)._)}}var Ln={_:!1};const jn=document.getElementById("sidebar-trigger"),Sn=document.getElementById("search-trigger"),Dn=document.getElementById("search-cancel"),kn=document.querySelectorAll("#main-wrapper>.container>.row"),Pn=document.getElementById("topbar-title"),Mn=document.getElementById("search"),Nn=document.getElementById("search-result-wrapper"),Bn=document.getElementById("search-results"),Fn=document.getElementById("search-input"),In=document.getElementById("search-hints"),Hn="d-block",zn="d-none",qn="input-focus",Wn="d-flex";class Rn{static on(){jn.classList.add(zn),Pn.classList.add(zn),Sn.classList.add(zn),Mn.classList.add(Wn),Dn.classList.add(Hn)}static off(){Dn.classList.remove(Hn),Mn.classList.remove(Wn),jn.classList.remove(zn),Pn.classList.remove(zn),Sn.classList.remove(zn)}}class Vn{static on(){this.resultVisible||(Nn.classList.remove(zn),kn.forEach(t=>{t.classList.add(zn)}),this.resultVisible=!0)}static off(){this.resultVisible&&(Bn.innerHTML="",In.classList.contains(zn)&&In.classList.remove(zn),Nn.classList.add(zn),kn.forEach(t=>{t.classList.remove(zn)}),Fn.textContent="",this.resultVisible=!1)}}function Yn(){return Dn.classList.contains(Hn)}P(Vn,"resultVisible",!1),function(){const t=document.querySelectorAll("article img");if(0===t.length)return;t.forEach(t=>{t.addEventListener("load",ln)}),document.querySelectorAll('article img[loading="lazy"]').forEach(t=>{t.complete&&cn.call(t,sn)});const e=document.querySelectorAll("article img[".concat(rn,'="true"]'));e.length&&e.forEach(t=>{un.call(t)})}(),dayjs.locale(fn.locale),dayjs.extend(window.dayjs_plugin_localizedFormat),document.querySelectorAll("[".concat(fn.attrTimestamp,"]")).forEach(t=>{const e=dayjs.unix(fn.getTimestamp(t)),n=e.format(fn.getDateFormat(t));if(t.textContent=n,t.removeAttribute(fn.attrTimestamp),t.removeAttribute(fn.attrDateFormat),t.hasAttribute("data-bs-toggle")&&"tooltip"===t.getAttribute("data-bs-toggle")){const n=e.format("llll");t.setAttribute("data-bs-title",n)}}),An.onclick=Cn.onclick=()=>Tn.toggle(),Sn.addEventListener("click",()=>{Rn.on(),Vn.on(),Fn.focus()}),Dn.addEventListener("click",()=>{Rn.off(),Vn.off()}),Fn.addEventListener("focus",()=>{Mn.classList.add(qn)}),Fn.addEventListener("focusout",()=>{Mn.classList.remove(qn)}),Fn.addEventListener("input",()=>{""===Fn.value?Yn()?In.classList.remove(zn):Vn.off():(Vn.on(),Yn()&&In.classList.add(zn))}),On&&On.addEventListener("click",()=>{Theme.flip()}),function(){const t=document.getElementById("back-to-top");window.addEventListener("scroll",()=>{window.scrollY>50?t.classList.add("show"):t.classList.remove("show")}),t.addEventListener("click",()=>{window.scrollTo({top:0})})}(),[...document.querySelectorAll('[data-bs-toggle="tooltip"]')].map(t=>new nn(t))}();
@@ -28,7 +28,8 @@ export default defineConfig([
         mermaid: 'readonly',
         tocbot: 'readonly',
         importScripts: 'readonly',
-        swconf: 'readonly'
+        swconf: 'readonly',
+        precacheManifest: 'readonly'
       }
     }
   }
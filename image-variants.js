@@ -0,0 +1,129 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+
+const IMAGES_PATH = 'assets/img/posts';
+const VARIANTS_PATH = `${IMAGES_PATH}/variants`;
+const MANIFEST_PATH = '_data/images.json';
+const SOURCE = /\.(png|jpe?g|webp)$/i;
+
+const WIDTHS = [480, 800, 1200];
+const FORMATS = {
+  avif: { quality: 50 },
+  webp: { quality: 75 }
+};
+const LQIP_WIDTH = 24;
+
+/**
+ * Widths of the variants, none larger than the image itself.
+ */
+function variantWidths(width) {
+  const widths = WIDTHS.filter((w) => w < width);
+
+  if (width <= WIDTHS[WIDTHS.length - 1]) {
+    widths.push(width);
+  }
+
+  return widths;
+}
+
+async function isFresh(output, source) {
+  try {
+    const [outputStat, sourceStat] = await Promise.all([
+      fs.stat(output),
+      fs.stat(source)
+    ]);
+    return outputStat.mtimeMs >= sourceStat.mtimeMs;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * A tiny blurred WebP of the image, inlined as a data URI.
+ */
+async function createLqip(file) {
+  const data = await sharp(file)
+    .resize(LQIP_WIDTH)
+    .blur()
+    .webp({ quality: 40 })
+    .toBuffer();
+
+  return `data:image/webp;base64,${data.toString('base64')}`;
+}
+
+async function createVariants(file, width) {
+  const name = path.parse(file).name;
+  const variants = {};
+
+  for (const [format, options] of Object.entries(FORMATS)) {
+    variants[format] = [];
+
+    for (const w of variantWidths(width)) {
+      const output = `${VARIANTS_PATH}/${name}-${w}.${format}`;
+
+      if (!(await isFresh(output, file))) {
+        await sharp(file).resize(w).toFormat(format, options).toFile(output);
+      }
+
+      variants[format].push({ src: `/${output}`, width: w });
+    }
+  }
+
+  return variants;
+}
+
+/**
+ * Removes the variants of the images that no longer exist.
+ */
+async function pruneVariants(outputs) {
+  const filenames = await fs.readdir(VARIANTS_PATH);
+
+  await Promise.all(
+    filenames
+      .filter((filename) => !outputs.has(`/${VARIANTS_PATH}/${filename}`))
+      .map((filename) => fs.rm(`${VARIANTS_PATH}/${filename}`))
+  );
+}
+
+async function main() {
+  const entries = await fs.readdir(IMAGES_PATH, { withFileTypes: true });
+  const files = entries
+    .filter((entry) => entry.isFile() && SOURCE.test(entry.name))
+    .map((entry) => `${IMAGES_PATH}/${entry.name}`)
+    .sort();
+
+  await fs.mkdir(VARIANTS_PATH, { recursive: true });
+
+  const manifest = {};
+  const outputs = new Set();
+
+  // One image at a time, as sharp already encodes on all the cores
+  for (const file of files) {
+    const { width, height } = await sharp(file).metadata();
+    const variants = await createVariants(file, width);
+
+    Object.values(variants)
+      .flat()
+      .forEach(({ src }) => outputs.add(src));
+
+    manifest[`/${file}`] = {
+      width,
+      height,
+      lqip: await createLqip(file),
+      ...variants
+    };
+  }
+
+  await pruneVariants(outputs);
+  await fs.writeFile(MANIFEST_PATH, `${JSON.stringify(manifest, null, 2)}\n`);
+
+  console.log(
+    `> ${MANIFEST_PATH}: ${files.length} images, ${outputs.size} variants`
+  );
+}
+
+main().catch((err) => {
+  console.error('Error during image variants build:', err);
+  process.exitCode = 1;
+});
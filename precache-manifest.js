@@ -0,0 +1,74 @@
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import vm from 'vm';
+import yaml from 'js-yaml';
+
+const SITE_PATH = '_site';
+const DATA_PATH = `${SITE_PATH}/assets/js/data`;
+const output = `${DATA_PATH}/precache-manifest.js`;
+
+function hash(content) {
+  return createHash('sha256').update(content).digest('hex').slice(0, 16);
+}
+
+/**
+ * Reads the `swconf` object of the built site.
+ */
+async function readSwconf() {
+  const code = await fs.readFile(`${DATA_PATH}/swconf.js`, 'utf8');
+  return vm.runInNewContext(`${code}\nswconf`);
+}
+
+/**
+ * The file of `_site` served at the URL, as GitHub Pages does.
+ */
+function toFilePath(url, baseurl) {
+  let path = decodeURI(new URL(url, 'http://localhost').pathname);
+
+  if (baseurl && path.startsWith(baseurl)) {
+    path = path.slice(baseurl.length);
+  }
+
+  if (path.endsWith('/')) {
+    path += 'index.html';
+  }
+
+  return `${SITE_PATH}${path}`;
+}
+
+async function readEntry(url, baseurl) {
+  const content = await fs.readFile(toFilePath(url, baseurl));
+  return { url, revision: hash(content), size: content.length };
+}
+
+async function main() {
+  const config = yaml.load(await fs.readFile('_config.yml', 'utf8'));
+  const swconf = await readSwconf();
+  let manifest = null;
+
+  if (!swconf.purge) {
+    const entries = await Promise.all(
+      swconf.resources.map((url) => readEntry(url, config.baseurl))
+    );
+    const version = hash(
+      entries.map((entry) => `${entry.url} ${entry.revision}`).join('\n')
+    );
+
+    manifest = { version, entries };
+
+    const size = entries.reduce((sum, entry) => sum + entry.size, 0);
+    console.log(
+      `> ${output}: ${entries.length} resources, ${size} bytes, version ${version}`
+    );
+  }
+
+  await fs.writeFile(
+    output,
+    `const precacheManifest = ${JSON.stringify(manifest)};\n`
+  );
+}
+
+main().catch((err) => {
+  console.error('Error during precache manifest build:', err);
+  process.exitCode = 1;
+});
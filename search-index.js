@@ -0,0 +1,172 @@
+import { promises as fs } from 'fs';
+import { promisify } from 'util';
+import { gzip } from 'zlib';
+import yaml from 'js-yaml';
+import { SearchEngine } from './_javascript/modules/components/search/engine.js';
+
+const POSTS_PATH = '_posts';
+const DIST_PATH = 'assets/js/data/search';
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+const FILENAME = /^(\d{4}-\d{2}-\d{2})-(.+)\.(md|markdown)$/;
+
+const compress = promisify(gzip);
+
+/**
+ * Reduces a Markdown post body to plain text.
+ */
+function toPlainText(markdown) {
+  return markdown
+    .replace(/^(```|~~~)[\s\S]*?^\1\s*$/gm, ' ') // code fences
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/\{%[\s\S]*?%\}|\{\{[\s\S]*?\}\}/g, ' ') // Liquid
+    .replace(/\{:[^}]*\}/g, ' ') // kramdown attribute lists
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ') // images
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1') // links
+    .replace(/^\s*\[[^\]]+\]:\s*\S+.*$/gm, ' ') // link references
+    .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '') // block markers
+    .replace(/[*_~`|]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function toList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+
+  return Array.isArray(value) ? value.map(String) : [String(value)];
+}
+
+/**
+ * Formats the date like `post.date | jsonify`, e.g. "2025-09-30 08:01:00 -0300".
+ */
+function formatDate(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23',
+      timeZoneName: 'longOffset'
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value])
+  );
+
+  const offset = parts.timeZoneName.replace(/^GMT/, '').replace(':', '');
+
+  return (
+    `${parts.year}-${parts.month}-${parts.day} ` +
+    `${parts.hour}:${parts.minute}:${parts.second} ${offset || '+0000'}`
+  );
+}
+
+/**
+ * Parses the front matter date, reading the ones without time or offset in
+ * the site time zone, as Jekyll does.
+ */
+function parseDate(value, timeZone) {
+  const text = String(value);
+
+  if (/[+-]\d{2}:?\d{2}$|Z$/.test(text)) {
+    return new Date(text);
+  }
+
+  const [day, time = '00:00:00'] = text.split(/[ T]/);
+  const offset = formatDate(new Date(`${day}T12:00:00Z`), timeZone).slice(-5);
+
+  return new Date(`${day}T${time}${offset.slice(0, 3)}:${offset.slice(3)}`);
+}
+
+/**
+ * Same URL as the `permalink: /:title/` of the posts in `_config.yml`.
+ */
+function postUrl(config, slug, frontMatter) {
+  const permalink = frontMatter.permalink || `/${slug}/`;
+  return `${config.baseurl || ''}${permalink}`;
+}
+
+async function readPost(config, filename) {
+  const matched = FILENAME.exec(filename);
+
+  if (matched === null) {
+    return null;
+  }
+
+  const source = await fs.readFile(`${POSTS_PATH}/${filename}`, 'utf8');
+  const front = FRONT_MATTER.exec(source);
+  // the core schema keeps dates as strings
+  const frontMatter = front
+    ? yaml.load(front[1], { schema: yaml.CORE_SCHEMA }) || {}
+    : {};
+  const body = front ? source.slice(front[0].length) : source;
+
+  const date = parseDate(frontMatter.date || matched[1], config.timezone);
+
+  if (
+    frontMatter.published === false ||
+    (!config.future && date > new Date())
+  ) {
+    return null;
+  }
+
+  const description = frontMatter.description
+    ? `${frontMatter.description} `
+    : '';
+
+  return {
+    title: String(frontMatter.title || matched[2]),
+    url: postUrl(config, matched[2], frontMatter),
+    categories: toList(frontMatter.categories).join(', '),
+    tags: toList(frontMatter.tags).join(', '),
+    date: formatDate(date, config.timezone),
+    lang: String(frontMatter.lang || config.lang),
+    series: String(frontMatter.series || ''),
+    content: description + toPlainText(body)
+  };
+}
+
+async function main() {
+  const config = yaml.load(await fs.readFile('_config.yml', 'utf8'));
+  const filenames = await fs.readdir(POSTS_PATH);
+  const posts = (
+    await Promise.all(filenames.map((name) => readPost(config, name)))
+  ).filter((post) => post !== null);
+
+  // Newest first, like `site.posts`
+  posts.sort((a, b) => b.date.localeCompare(a.date));
+
+  const shards = new Map();
+
+  for (const post of posts) {
+    const lang = post.lang.split('-')[0];
+
+    if (!shards.has(lang)) {
+      shards.set(lang, []);
+    }
+
+    shards.get(lang).push(post);
+  }
+
+  await fs.rm(DIST_PATH, { recursive: true, force: true });
+  await fs.mkdir(DIST_PATH, { recursive: true });
+
+  for (const [lang, docs] of shards) {
+    const engine = new SearchEngine(docs, { lang });
+    const data = await compress(JSON.stringify(engine));
+    const output = `${DIST_PATH}/${lang}.json.gz`;
+
+    await fs.writeFile(output, data);
+    console.log(`> ${output}: ${docs.length} posts, ${data.length} bytes`);
+  }
+}
+
+main().catch((err) => {
+  console.error('Error during search index build:', err);
+  process.exitCode = 1;
+});